@@ -1,102 +1,481 @@
 // background.js - MV3 service worker for Component Remix Engine (CRE)
 // Handles AI remix calls, message routing between content scripts and popup.
 
-import { callOpenAIForRemix } from "./utils/ai.js";
+import {
+  callAIForRemix,
+  callAIForRepair,
+  normalizeRemixParameters,
+} from "./utils/ai.js";
+import { resolveProviderSettings } from "./utils/providers.js";
+import { generateCodeForFramework } from "./utils/codegen.js";
+import { saveComponent, getAllPresets } from "./utils/storage.js";
+import {
+  DEFAULT_TIMEOUT_MS,
+  registerRequestHandler,
+  enqueueRequest,
+  subscribeRequest,
+  unsubscribeRequest,
+  cancelRequest,
+} from "./utils/queue.js";
+import {
+  getTabHistory,
+  recordHistoryEntry,
+  clearTabHistory,
+} from "./utils/history.js";
 
-// In-memory cache for the API key
-let cachedApiKey = null;
+// In-memory cache for API keys, by provider id
+const cachedApiKeys = {};
+
+// Keys live in chrome.storage.local (never synced) as creSettings.<provider>ApiKey
+function apiKeyField(providerId) {
+  return `${providerId}ApiKey`;
+}
 
 /**
- * Get the API key from storage or use the default dummy key.
+ * Get a provider's API key from storage.
  * This ensures the API key is only handled in the background script.
+ * @param {string} [providerId] - Provider id (see utils/providers.js)
+ * @returns {Promise<string>} The key, or "" when none is stored
  */
-async function getApiKey() {
-  if (cachedApiKey) return cachedApiKey;
+async function getApiKey(providerId = "openai") {
+  if (cachedApiKeys[providerId]) return cachedApiKeys[providerId];
 
   return new Promise((resolve) => {
     chrome.storage.local.get(["creSettings"], (result) => {
       const settings = result?.creSettings || {};
-      // Use the stored key or fall back to dummy key
-      cachedApiKey = settings.openaiApiKey || "sk-dummykey1234567890";
-      resolve(cachedApiKey);
+      // No key means no Authorization header; local servers usually need none
+      const key = settings[apiKeyField(providerId)] || "";
+      if (key) cachedApiKeys[providerId] = key;
+      resolve(key);
     });
   });
 }
 
 /**
- * Set the API key in storage.
+ * Set a provider's API key in storage, keeping the keys of other providers.
  * This should be called from the extension's options page or settings UI.
+ * @param {string} providerId - Provider id
+ * @param {string} apiKey - Key to store ("" removes it)
  */
-async function setApiKey(apiKey) {
-  cachedApiKey = apiKey;
+async function setApiKey(providerId, apiKey) {
   return new Promise((resolve, reject) => {
-    chrome.storage.local.set({ creSettings: { openaiApiKey: apiKey } }, () => {
-      if (chrome.runtime.lastError) {
-        reject(
-          new Error(`Failed to save API key: ${chrome.runtime.lastError}`)
-        );
-      } else {
-        resolve();
-      }
+    chrome.storage.local.get(["creSettings"], (result) => {
+      const settings = {
+        ...(result?.creSettings || {}),
+        [apiKeyField(providerId)]: apiKey,
+      };
+      chrome.storage.local.set({ creSettings: settings }, () => {
+        if (chrome.runtime.lastError) {
+          reject(
+            new Error(`Failed to save API key: ${chrome.runtime.lastError}`)
+          );
+        } else {
+          if (apiKey) {
+            cachedApiKeys[providerId] = apiKey;
+          } else {
+            delete cachedApiKeys[providerId];
+          }
+          resolve();
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Read the shared settings saved from the popup (framework, token output, ...).
+ * @returns {Promise<Object>} creSettings from chrome.storage.sync
+ */
+function getSyncSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(["creSettings"], (result) => {
+      resolve(result?.creSettings || {});
     });
   });
 }
 
+/**
+ * Work out which AI provider to call and how to reach it, from the popup settings.
+ * @returns {Promise<Object>} Connection for callAIForRemix
+ * @throws {Error} If the provider needs a key that isn't set, or its host isn't permitted
+ */
+async function getAIConnection() {
+  const { provider, baseUrl, model } = resolveProviderSettings(
+    await getSyncSettings()
+  );
+
+  let origin;
+  try {
+    origin = new URL(baseUrl).origin;
+  } catch {
+    throw new Error(`Invalid ${provider.label} base URL: ${baseUrl}`);
+  }
+
+  // Hosts other than the built-in ones are granted at runtime from the popup
+  if (!(await chrome.permissions.contains({ origins: [`${origin}/*`] }))) {
+    throw new Error(
+      `CRE is not allowed to reach ${origin}. Save the AI settings in the popup again to grant access.`
+    );
+  }
+
+  const apiKey = await getApiKey(provider.id);
+  if (provider.requiresApiKey && !apiKey) {
+    throw new Error(`${provider.label} needs a key. Add it in the popup settings.`);
+  }
+
+  return { provider, baseUrl, model, apiKey };
+}
+
+/**
+ * Resolve the parameters for a remix: values sent with the request, then the
+ * defaults saved in the popup settings, then the built-in defaults.
+ * @param {Object} [requested] - Parameters from the sidebar
+ * @param {Object} connection - From getAIConnection, for the effective model
+ * @returns {Promise<Object>} RemixParameters plus the provider id, with the model filled in
+ */
+async function getRemixParameters(requested, connection) {
+  const { remixDefaults } = await getSyncSettings();
+  const parameters = normalizeRemixParameters(
+    requested,
+    normalizeRemixParameters(remixDefaults)
+  );
+  return {
+    ...parameters,
+    provider: connection.provider.id,
+    model: parameters.model || connection.model,
+  };
+}
+
+/**
+ * Time limit for each attempt of an AI request, from the popup settings.
+ * @returns {Promise<number>} Timeout in ms
+ */
+async function getRequestTimeout() {
+  const seconds = Number((await getSyncSettings()).aiTimeoutSeconds);
+  return seconds > 0 ? seconds * 1000 : DEFAULT_TIMEOUT_MS;
+}
+
+/**
+ * Generate code for the chosen variant and save the component to the library.
+ * The markup has already been sanitized by the content script, since the
+ * sanitizer needs a DOM and the service worker has none.
+ * @param {Object} params - Save request from the sidebar
+ * @param {string} params.name - Component name
+ * @param {string[]} params.tags - Tags
+ * @param {string} params.framework - Target framework for the generated code
+ * @param {string|null} params.nodeId - Lineage node to generate code for; null for the original
+ * @param {Object} params.original - Extracted component
+ * @param {Array} params.variants - Remixed variants shown in the sidebar
+ * @param {Array} params.lineage - Remix/refinement tree (see utils/storage.js)
+ * @returns {Promise<Object>} The saved component
+ */
+async function saveComponentFromSidebar({
+  name,
+  tags = [],
+  framework,
+  nodeId = null,
+  original,
+  variants = [],
+  lineage = [],
+}) {
+  const settings = await getSyncSettings();
+  const targetFramework = framework || settings.defaultFramework || "react";
+  const node = lineage.find((entry) => entry.id === nodeId);
+  const selected = node || {
+    html: original.html,
+    css: original.css,
+  };
+
+  const code = generateCodeForFramework(targetFramework, selected, name, {
+    externalAssets: original.assets?.external,
+    tokens: original.tokens,
+    tokenMode: settings.tokenOutput || "var",
+  });
+
+  return saveComponent({
+    name,
+    tags,
+    originalHTML: original.html,
+    originalCSS: original.css,
+    breakpoints: original.breakpoints,
+    viewportWidth: original.viewportWidth,
+    assets: original.assets,
+    tokens: original.tokens,
+    remixedVariants: variants,
+    lineage,
+    lineageNodeId: node ? node.id : null,
+    generatedCode: code,
+    framework: targetFramework,
+  });
+}
+
+/**
+ * Fetch an asset and return it as a data URI if it is small enough.
+ * Runs in the service worker, which is not bound by the page's CORS policy
+ * once the optional <all_urls> host permission is granted (the popup asks for
+ * it when inlining is enabled). Without it, only assets served with CORS
+ * headers can be fetched, and the others are reported as missing permission.
+ * @param {string} url - Absolute asset URL
+ * @param {number} maxBytes - Largest asset that may be inlined
+ * @returns {Promise<{ok: boolean, dataUri?: string, error?: string, permissionMissing?: boolean}>}
+ */
+async function fetchAssetAsDataUri(url, maxBytes) {
+  let resp;
+  try {
+    resp = await fetch(url, { credentials: "omit" });
+  } catch (err) {
+    // A CORS failure looks like a network error; tell the two apart
+    const origin = new URL(url).origin;
+    if (!(await chrome.permissions.contains({ origins: [`${origin}/*`] }))) {
+      return {
+        ok: false,
+        permissionMissing: true,
+        error: `CRE is not allowed to read assets from ${origin}.`,
+      };
+    }
+    throw err;
+  }
+  if (!resp.ok) {
+    return { ok: false, error: `Asset request failed (${resp.status})` };
+  }
+
+  const declaredSize = Number(resp.headers.get("content-length"));
+  if (declaredSize && declaredSize > maxBytes) {
+    return { ok: false, error: "Asset too large to inline" };
+  }
+
+  const buffer = await resp.arrayBuffer();
+  if (buffer.byteLength > maxBytes) {
+    return { ok: false, error: "Asset too large to inline" };
+  }
+
+  // FileReader is not available in service workers; encode in chunks instead
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  const contentType =
+    (resp.headers.get("content-type") || "application/octet-stream").split(";")[0];
+
+  return { ok: true, dataUri: `data:${contentType};base64,${btoa(binary)}` };
+}
+
+/**
+ * Check a remix request from the sidebar.
+ * @param {Object} payload - {html, css, tokens, prompt, history, parameters}
+ * @returns {string|null} Error message, or null when the request is valid
+ */
+function validateRemixPayload(payload) {
+  const { html, css, prompt } = payload || {};
+  if (!html && !css) {
+    return "Cannot remix: component HTML and CSS are both empty.";
+  }
+  if (!prompt || !prompt.trim()) {
+    return "Please provide a remix prompt (e.g., 'add dark mode').";
+  }
+  return null;
+}
+
+/**
+ * Fill in defaults for a validated remix request.
+ * @param {Object} payload - {html, css, tokens, prompt, history}
+ * @returns {Object} Parameters for callAIForRemix
+ */
+function normalizeRemixPayload({ html, css, tokens, prompt, history }) {
+  return {
+    html: html || "",
+    css: css || "",
+    tokens: tokens || {},
+    prompt: prompt.trim(),
+    // Prompts that led to the variant being refined, oldest first
+    history: Array.isArray(history)
+      ? history.map((entry) => String(entry || "").trim()).filter(Boolean)
+      : [],
+  };
+}
+
+/**
+ * Turn an error into a user-friendly message.
+ * @param {Error|{message: string, status?: number}} err - Error thrown while
+ *   handling a request, or one reported by the request queue
+ * @returns {string}
+ */
+function describeError(err) {
+  const errorMessage =
+    err?.message || "Unexpected error in background service worker.";
+
+  // Handle specific error cases; provider errors carry the HTTP status
+  if (err?.status === 401 || errorMessage.includes("API key")) {
+    return "Invalid API key. Please check your AI provider settings.";
+  }
+  if (errorMessage.includes("Failed to fetch")) {
+    return "Network error. Please check your internet connection.";
+  }
+  if (err?.status === 429) {
+    return "AI provider rate limit exceeded. Please try again later.";
+  }
+  return errorMessage;
+}
+
+// Requests in the queue (utils/queue.js). Payloads are validated remix requests;
+// repairs also carry the failing variant and its validation errors.
+// Remixes resolve with the variants and the parameters they were made with.
+// Both keep to the design system from the popup settings, if one is set.
+registerRequestHandler("remix", async (payload, { signal, emit }) => {
+  const connection = await getAIConnection();
+  const parameters = await getRemixParameters(payload.parameters, connection);
+  const { designSystem } = await getSyncSettings();
+  emit({ type: "parameters", parameters });
+
+  let lastProgressAt = 0;
+  const variants = await callAIForRemix(
+    { ...normalizeRemixPayload(payload), parameters, designSystem },
+    connection,
+    {
+      signal,
+      onVariant: (variant, index) => emit({ type: "variant", index, variant }),
+      onProgress: ({ received, variants: ready }) => {
+        const now = Date.now();
+        if (now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+        lastProgressAt = now;
+        emit({ type: "progress", received, variants: ready });
+      },
+    }
+  );
+  return { variants, parameters };
+});
+
+registerRequestHandler("repair", async (payload, { signal }) => {
+  const connection = await getAIConnection();
+  return callAIForRepair(
+    {
+      ...normalizeRemixPayload(payload),
+      variant: payload.variant,
+      errors: Array.isArray(payload.errors) ? payload.errors.map(String) : [],
+      parameters: await getRemixParameters(payload.parameters, connection),
+      designSystem: (await getSyncSettings()).designSystem,
+    },
+    connection,
+    { signal }
+  );
+});
+
 /**
  * Message listener for extension communication.
- * Handles AI_REMIX requests from content scripts and routes responses back.
- * Also handles API key management from the extension's settings.
+ * Fetches assets and saves components for content scripts, keeps the per-tab
+ * extraction history and handles API key management from the extension's
+ * settings. AI remixes go through the "cre-remix" port (see below).
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Use async handlers with sendResponse by returning true
   (async () => {
     try {
-      // Handle AI remix requests
-      if (message?.type === "AI_REMIX") {
-        const { html, css, prompt } = message.payload || {};
+      // Fetch small assets for inlining during extraction
+      if (message?.type === "FETCH_ASSET") {
+        const { url, maxBytes } = message.payload || {};
+        if (!url || !/^https?:/i.test(url)) {
+          sendResponse({ ok: false, error: "Only http(s) assets can be inlined." });
+          return;
+        }
 
-        // Validate payload
-        if (!html && !css) {
-          sendResponse({
-            ok: false,
-            error: "Cannot remix: component HTML and CSS are both empty.",
-          });
+        try {
+          sendResponse(await fetchAssetAsDataUri(url, maxBytes || 0));
+        } catch (err) {
+          sendResponse({ ok: false, error: err.message });
+        }
+        return;
+      }
+
+      // Save a component from the in-page sidebar
+      else if (message?.type === "CRE_SAVE_COMPONENT") {
+        const payload = message.payload || {};
+        if (!payload.original || !payload.name?.trim()) {
+          sendResponse({ ok: false, error: "A component and a name are required." });
           return;
         }
 
-        if (!prompt || !prompt.trim()) {
+        try {
+          const saved = await saveComponentFromSidebar({
+            ...payload,
+            name: payload.name.trim(),
+          });
+          sendResponse({ ok: true, component: { id: saved.id, name: saved.name } });
+        } catch (err) {
           sendResponse({
             ok: false,
-            error: "Please provide a remix prompt (e.g., 'add dark mode').",
+            error: `Failed to save component: ${err.message}`,
           });
+        }
+        return;
+      }
+
+      // Prompt presets for the sidebar's preset dropdown
+      else if (message?.type === "CRE_GET_PRESETS") {
+        try {
+          sendResponse({ ok: true, presets: await getAllPresets() });
+        } catch (err) {
+          sendResponse({ ok: false, error: `Failed to load presets: ${err.message}` });
+        }
+        return;
+      }
+
+      // Start/stop extraction from the popup, injecting the content script on demand
+      else if (message?.type === "CRE_EXTRACTION_COMMAND") {
+        const { tabId, command } = message.payload || {};
+        if (
+          typeof tabId !== "number" ||
+          !["START_EXTRACTION", "STOP_EXTRACTION"].includes(command)
+        ) {
+          sendResponse({ ok: false, error: "Invalid extraction command." });
+          return;
+        }
+
+        sendResponse(await sendToContentScript(tabId, { type: command }));
+        return;
+      }
+
+      // Record an extraction or remix in the sending tab's history
+      else if (message?.type === "CRE_RECORD_HISTORY") {
+        const tab = sender.tab;
+        if (!tab?.id || !message.payload?.original) {
+          sendResponse({ ok: false, error: "History entries need a tab and a component." });
           return;
         }
 
-        // Get API key (will use dummy key if not set)
-        const apiKey = await getApiKey();
-
-        // Call OpenAI API with the key
-        const variants = await callOpenAIForRemix(
-          {
-            html: html || "",
-            css: css || "",
-            prompt: prompt.trim(),
-          },
-          apiKey
+        const entry = await recordHistoryEntry(tab.id, {
+          ...message.payload,
+          url: tab.url,
+          title: tab.title,
+        });
+
+        // Let an open popup refresh its history list (no listener is fine)
+        chrome.runtime.sendMessage(
+          { type: "CRE_HISTORY_UPDATED", payload: { tabId: tab.id } },
+          () => void chrome.runtime.lastError
         );
 
-        sendResponse({ ok: true, variants });
+        sendResponse({ ok: true, entryId: entry.id });
+        return;
+      } else if (message?.type === "CRE_GET_HISTORY") {
+        const { tabId } = message.payload || {};
+        if (typeof tabId !== "number") {
+          sendResponse({ ok: false, error: "A tab id is required." });
+          return;
+        }
+
+        sendResponse({ ok: true, entries: await getTabHistory(tabId) });
         return;
       }
 
       // Handle API key management
       else if (message?.type === "GET_API_KEY") {
-        const key = await getApiKey();
+        const key = await getApiKey(message.payload?.provider);
         sendResponse({ ok: true, key });
         return;
       } else if (message?.type === "SET_API_KEY") {
-        const { key } = message.payload || {};
-        if (!key || typeof key !== "string") {
+        const { key, provider = "openai" } = message.payload || {};
+        if (typeof key !== "string") {
           sendResponse({
             ok: false,
             error: "Invalid API key format.",
@@ -105,7 +484,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         }
 
         try {
-          await setApiKey(key.trim());
+          await setApiKey(provider, key.trim());
           sendResponse({ ok: true });
         } catch (err) {
           sendResponse({
@@ -124,29 +503,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     } catch (err) {
       console.error("CRE: Background service worker error:", err);
 
-      // Provide user-friendly error messages
-      let errorMessage =
-        err?.message || "Unexpected error in background service worker.";
-
-      // Handle specific error cases
-      if (errorMessage.includes("API key") || errorMessage.includes("401")) {
-        errorMessage = "Invalid OpenAI API key. Please check your settings.";
-      } else if (
-        errorMessage.includes("Network") ||
-        errorMessage.includes("fetch")
-      ) {
-        errorMessage = "Network error. Please check your internet connection.";
-      } else if (
-        errorMessage.includes("rate limit") ||
-        errorMessage.includes("429")
-      ) {
-        errorMessage =
-          "OpenAI API rate limit exceeded. Please try again later.";
-      }
-
       sendResponse({
         ok: false,
-        error: errorMessage,
+        error: describeError(err),
       });
     }
   })();
@@ -154,3 +513,183 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Indicate that we will respond asynchronously
   return true;
 });
+
+// Streamed remixes: the sidebar opens a port named REMIX_PORT_NAME and sends
+// AI_REMIX ({payload}) and, for variants that fail validation, AI_REPAIR
+// ({index, payload}) messages. Each is queued and answered with "accepted"
+// ({requestId}, plus the index for repairs), then the queue's events for that
+// request: "queued", "started", "retrying", the remix's "parameters",
+// "progress" and "variant", and finally "done" ({result}), "failed" ({error})
+// or "cancelled".
+// AI_CANCEL ({requestId}) cancels a request. If the service worker is
+// suspended the port closes; the sidebar reconnects and sends AI_RESUME
+// ({requestId}) to pick each request up again. Closing the port from the
+// sidebar cancels every request it is waiting for.
+const REMIX_PORT_NAME = "cre-remix";
+
+// Progress messages are throttled; variants are always sent immediately
+const PROGRESS_INTERVAL_MS = 250;
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== REMIX_PORT_NAME) return;
+
+  const requestIds = new Set(); // requests this port is listening to
+  let connected = true;
+
+  const forward = (event) => {
+    if (!connected) return;
+    port.postMessage(
+      event.type === "failed"
+        ? { ...event, error: describeError(event.error) }
+        : event
+    );
+  };
+
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    requestIds.forEach((id) => {
+      unsubscribeRequest(id, forward);
+      cancelRequest(id);
+    });
+  });
+
+  const enqueue = async (kind, payload, extra) => {
+    const timeoutMs = await getRequestTimeout();
+    if (!connected) return;
+    const requestId = enqueueRequest(kind, payload, {
+      timeoutMs,
+      onEvent: forward,
+    });
+    requestIds.add(requestId);
+    port.postMessage({ type: "accepted", requestId, ...extra });
+  };
+
+  port.onMessage.addListener(async (message) => {
+    if (message?.type === "AI_REMIX" || message?.type === "AI_REPAIR") {
+      const repair = message.type === "AI_REPAIR";
+      const invalid =
+        validateRemixPayload(message.payload) ||
+        (repair && !message.payload.variant ? "No variant to repair." : null);
+      const extra = repair ? { index: message.index } : {};
+      if (invalid) {
+        port.postMessage({ type: "failed", requestId: null, error: invalid, ...extra });
+        return;
+      }
+      await enqueue(repair ? "repair" : "remix", message.payload, extra);
+    } else if (message?.type === "AI_RESUME") {
+      const { requestId } = message;
+      requestIds.add(requestId);
+      if (!(await subscribeRequest(requestId, forward))) {
+        requestIds.delete(requestId);
+        forward({
+          type: "failed",
+          requestId,
+          error: { message: "The request was lost while the extension restarted. Please try again." },
+        });
+      }
+    } else if (message?.type === "AI_CANCEL") {
+      cancelRequest(message.requestId);
+    }
+  });
+});
+
+// History is per tab; drop it when the tab goes away
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearTabHistory(tabId);
+});
+
+const CONTEXT_MENU_ID = "cre-extract-element";
+
+// Context menus persist across service worker restarts; create them on install/update.
+// An update keeps the old item, so clear it first rather than hit a duplicate id.
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create(
+      {
+        id: CONTEXT_MENU_ID,
+        title: "Extract this element with CRE",
+        contexts: ["all"],
+      },
+      () => {
+        if (chrome.runtime.lastError) {
+          console.error("CRE: Failed to create context menu:", chrome.runtime.lastError.message);
+        }
+      }
+    );
+  });
+});
+
+/**
+ * Inject content.js into a tab's top frame unless it is already there.
+ * Runs only after a user gesture (popup, context menu, shortcut), which grants
+ * activeTab access, so no broad host permission is needed. Tabs opened before
+ * the extension was installed work without a reload.
+ * @param {number} tabId - Target tab
+ * @returns {Promise<void>}
+ * @throws {Error} If the page cannot be scripted (e.g. chrome:// pages)
+ */
+async function ensureContentScript(tabId) {
+  const [probe] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => globalThis.creContentScriptLoaded === true,
+  });
+  if (probe?.result) return;
+
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    files: ["content.js"],
+  });
+}
+
+/**
+ * Send a message to the content script in a tab's top frame, injecting it first if needed.
+ * @param {number} tabId - Target tab
+ * @param {Object} message - Message to send
+ * @returns {Promise<{ok: boolean, error?: string}>} The content script's response
+ */
+async function sendToContentScript(tabId, message) {
+  try {
+    await ensureContentScript(tabId);
+  } catch (err) {
+    return { ok: false, error: "Extraction is not available on this page." };
+  }
+
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, message, { frameId: 0 }, (response) => {
+      if (chrome.runtime.lastError) {
+        resolve({ ok: false, error: chrome.runtime.lastError.message });
+        return;
+      }
+      resolve(response || { ok: false, error: "No response from the page." });
+    });
+  });
+}
+
+// Log failures from entry points that have no UI to report to
+function logContentScriptFailure(message) {
+  return (response) => {
+    if (!response.ok) console.warn(`CRE: ${message.type} failed:`, response.error);
+  };
+}
+
+// "Extract this element with CRE": the content script remembers the right-clicked element
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== CONTEXT_MENU_ID || !tab?.id) return;
+  const message = { type: "EXTRACT_CONTEXT_TARGET" };
+  sendToContentScript(tab.id, message).then(logContentScriptFailure(message));
+});
+
+// Keyboard shortcut (see "commands" in manifest.json) toggles extraction mode
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command !== "toggle-extraction") return;
+
+  const message = { type: "TOGGLE_EXTRACTION" };
+  if (tab?.id) {
+    sendToContentScript(tab.id, message).then(logContentScriptFailure(message));
+    return;
+  }
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (!tabs[0]?.id) return;
+    sendToContentScript(tabs[0].id, message).then(logContentScriptFailure(message));
+  });
+});
@@ -1,10 +1,51 @@
 // content.js - runs in the context of web pages
 // Handles hover highlighting, element extraction, and in-page sidebar UI.
+// Injected on demand by background.js (chrome.scripting), not on every page.
+
+// Checked by background.js so a second injection into this tab is skipped
+globalThis.creContentScriptLoaded = true;
 
 let isExtracting = false;
 let hoverOverlay = null;
+let hoverLabel = null;
+let pickerTarget = null; // element currently highlighted by mouse or keyboard
+let selectedElements = []; // Shift+click selection for composite extraction
+let selectionOutlines = new Map(); // element -> outline div
+let pickerDocuments = []; // page document plus same-origin iframe documents
 let sidebarEl = null;
-let lastExtractedComponent = null; // { html, css }
+let domUtils = null; // utils/dom.js module, imported on first extraction
+let validationUtils = null; // utils/validation.js module, imported on first remix
+let presetUtils = null; // utils/presets.js module, imported when the sidebar opens
+let designSystemUtils = null; // utils/design-system.js module, imported on first remix
+let baselineFrame = null; // hidden clean iframe used to read user-agent default styles
+let lastExtractedComponent = null; // { html, css, mode, breakpoints, viewportWidth, assets, tokens, report, label }
+let extractionOptions = { mode: "computed", responsive: false, inlineAssets: false };
+let defaultFramework = "react"; // preselected in the sidebar save form
+let remixDefaults = {}; // creSettings.remixDefaults, prefilled in the sidebar's remix options
+let designSystem = null; // creSettings.designSystem, checked against each variant's CSS
+let sidebarVariants = []; // variants shown in the sidebar: children of the version being refined
+let sidebarLineage = []; // every remix/refinement of the sidebar component (LineageNode in utils/storage.js)
+let lineageNodeId = null; // version the next remix starts from; null for the original
+let lineageReports = new Map(); // lineage node id -> sanitize report, kept out of the saved tree
+let lineageChecks = new Map(); // lineage node id -> { checks, attempts, repairing }, also kept out
+let presetVariableValues = new Map(); // {{variable}} name -> value typed in the sidebar, reused across presets
+let remixPort = null; // port to the background while a remix is streaming
+let contextMenuTarget = null; // element last right-clicked, for the context menu entry
+
+// Port name for streamed remixes (must match REMIX_PORT_NAME in background.js)
+const REMIX_PORT_NAME = "cre-remix";
+
+// Repair requests sent per variant that fails validation
+const REPAIR_ATTEMPTS = 2;
+
+// Times a remix reconnects after the service worker was suspended mid-request
+const REMIX_RECONNECT_ATTEMPTS = 3;
+
+// Supported extraction modes
+const EXTRACTION_MODES = {
+  COMPUTED: "computed", // generated classes + computed styles
+  STYLESHEET: "stylesheet", // original classes + authored CSSOM rules
+};
 
 // Shift page content to make room for the sidebar
 function applyPageShiftForSidebar() {
@@ -31,6 +72,23 @@ function ensureHoverOverlay() {
   hoverOverlay.style.borderRadius = "4px";
   hoverOverlay.style.transition = "all 0.05s ease-out";
   hoverOverlay.style.display = "none";
+
+  // Breadcrumb + dimensions label shown above the highlighted element
+  hoverLabel = document.createElement("div");
+  hoverLabel.id = "cre-hover-label";
+  hoverLabel.style.position = "absolute";
+  hoverLabel.style.left = "-2px";
+  hoverLabel.style.maxWidth = "480px";
+  hoverLabel.style.padding = "2px 6px";
+  hoverLabel.style.borderRadius = "3px";
+  hoverLabel.style.background = "#1e90ff";
+  hoverLabel.style.color = "white";
+  hoverLabel.style.font = "11px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace";
+  hoverLabel.style.whiteSpace = "nowrap";
+  hoverLabel.style.overflow = "hidden";
+  hoverLabel.style.textOverflow = "ellipsis";
+  hoverOverlay.appendChild(hoverLabel);
+
   document.documentElement.appendChild(hoverOverlay);
 }
 
@@ -40,44 +98,350 @@ function removeHoverOverlay() {
     hoverOverlay.parentNode.removeChild(hoverOverlay);
   }
   hoverOverlay = null;
+  hoverLabel = null;
+  pickerTarget = null;
 }
 
 /**
- * Mouse move handler for hover highlighting during extraction mode.
- * Updates the blue border overlay to follow the cursor over elements.
- * @param {MouseEvent} event - Mouse move event
+ * Check whether an element can be picked (not part of CRE's own UI).
+ * @param {Element} el - Candidate element
+ * @returns {boolean}
  */
-function handleMouseMove(event) {
-  if (!isExtracting || !hoverOverlay) return;
-  const target = event.target;
-  if (!target || sidebarEl?.contains(target) || target === hoverOverlay) return;
+function isPickable(el) {
+  return Boolean(
+    el &&
+      el.nodeType === Node.ELEMENT_NODE &&
+      el !== el.ownerDocument.documentElement &&
+      el !== hoverOverlay &&
+      !hoverOverlay?.contains(el) &&
+      !sidebarEl?.contains(getOutermostHost(el))
+  );
+}
+
+// Sidebar previews live in shadow roots, which contains() does not cross
+function getOutermostHost(el) {
+  let node = el;
+  while (node.getRootNode()?.host) node = node.getRootNode().host;
+  return node;
+}
+
+/**
+ * Describe an element as tag.class (first two classes) for the breadcrumb.
+ * @param {Element} el - Element to describe
+ * @returns {string}
+ */
+function describeElement(el) {
+  const classes = Array.from(el.classList || []).slice(0, 2);
+  return [el.tagName.toLowerCase(), ...classes].join(".");
+}
+
+/**
+ * Build the breadcrumb for an element, e.g. "main > div.card > button.btn".
+ * Only the nearest ancestors are shown to keep the label short.
+ * @param {Element} el - Highlighted element
+ * @param {number} [depth=3] - Number of levels to show
+ * @returns {string}
+ */
+function buildBreadcrumb(el, depth = 3) {
+  const parts = [];
+  let node = el;
+  while (node && node !== document.documentElement && parts.length < depth) {
+    parts.unshift(describeElement(node));
+    node = getComposedParent(node);
+  }
+  if (node && node !== document.body && node !== document.documentElement) {
+    parts.unshift("…");
+  }
+  return parts.join(" > ");
+}
+
+/**
+ * Parent in the composed tree: crosses shadow roots (to the host) and
+ * same-origin iframes (to the <iframe> element).
+ * @param {Element} el - Element to start from
+ * @returns {Element|null}
+ */
+function getComposedParent(el) {
+  const parent = el.parentElement;
+  if (parent && parent !== el.ownerDocument.documentElement) return parent;
+  const root = el.getRootNode();
+  if (root.host) return root.host;
+  return el.ownerDocument?.defaultView?.frameElement || null;
+}
+
+/**
+ * First child in the composed tree: descends into open shadow roots and
+ * same-origin iframes before light DOM children.
+ * @param {Element} el - Element to start from
+ * @returns {Element|null}
+ */
+function getComposedFirstChild(el) {
+  if (el.shadowRoot?.firstElementChild) {
+    return Array.from(el.shadowRoot.children).find(
+      (child) => child.localName !== "style" && child.localName !== "link"
+    ) || el.firstElementChild;
+  }
+  if (el.localName === "iframe") {
+    try {
+      if (el.contentDocument?.body) return el.contentDocument.body;
+    } catch (error) {
+      // Cross-origin frame; fall through to light DOM
+    }
+  }
+  return el.firstElementChild;
+}
+
+/**
+ * Bounding box of an element in top-document page coordinates, adding the
+ * offsets of any same-origin iframes it sits in.
+ * @param {Element} el - Element to measure
+ * @returns {{left: number, top: number, width: number, height: number}}
+ */
+function getPageRect(el) {
+  const rect = el.getBoundingClientRect();
+  let left = rect.left;
+  let top = rect.top;
+  let view = el.ownerDocument?.defaultView;
+
+  while (view && view !== window && view.frameElement) {
+    const frame = view.frameElement;
+    const frameRect = frame.getBoundingClientRect();
+    left += frameRect.left + frame.clientLeft;
+    top += frameRect.top + frame.clientTop;
+    view = frame.ownerDocument.defaultView;
+  }
+
+  return {
+    left: left + window.scrollX,
+    top: top + window.scrollY,
+    width: rect.width,
+    height: rect.height,
+  };
+}
+
+/**
+ * Deepest element an event actually hit. composedPath() reaches into open
+ * shadow roots, where event.target is retargeted to the host.
+ * @param {Event} event - Mouse or keyboard event
+ * @returns {Element|null}
+ */
+function getEventTarget(event) {
+  const path = event.composedPath ? event.composedPath() : [];
+  return path.find((node) => node.nodeType === Node.ELEMENT_NODE) || event.target;
+}
+
+/**
+ * Collect the page document and every same-origin iframe document below it.
+ * Cross-origin frames throw (or return null) on contentDocument and are skipped.
+ * @param {Document} [doc=document] - Document to start from
+ * @returns {Document[]}
+ */
+function collectPickerDocuments(doc = document) {
+  const docs = [doc];
+  doc.querySelectorAll("iframe, frame").forEach((frame) => {
+    try {
+      const frameDoc = frame.contentDocument;
+      if (frameDoc) docs.push(...collectPickerDocuments(frameDoc));
+    } catch (error) {
+      // Cross-origin frame
+    }
+  });
+  return docs;
+}
+
+/**
+ * Move the highlight overlay and breadcrumb label to an element.
+ * @param {Element} target - Element to highlight
+ */
+function highlightElement(target) {
+  if (!hoverOverlay || !isPickable(target)) return;
+  pickerTarget = target;
 
   try {
-    const rect = target.getBoundingClientRect();
-    hoverOverlay.style.left = `${rect.left + window.scrollX}px`;
-    hoverOverlay.style.top = `${rect.top + window.scrollY}px`;
+    const rect = getPageRect(target);
+    hoverOverlay.style.left = `${rect.left}px`;
+    hoverOverlay.style.top = `${rect.top}px`;
     hoverOverlay.style.width = `${rect.width}px`;
     hoverOverlay.style.height = `${rect.height}px`;
     hoverOverlay.style.display = "block";
+
+    const selection = selectedElements.length
+      ? `  · ${selectedElements.length} selected`
+      : "";
+    hoverLabel.textContent = `${buildBreadcrumb(target)}  ${Math.round(rect.width)} × ${Math.round(rect.height)}${selection}`;
+    // Flip the label inside the box when there is no room above it
+    const labelAbove = rect.top - window.scrollY > 22;
+    hoverLabel.style.top = labelAbove ? "" : "0";
+    hoverLabel.style.bottom = labelAbove ? "calc(100% + 2px)" : "";
   } catch (error) {
     // Silently fail on hover errors to avoid disrupting user experience
     console.warn("CRE: Hover highlight error:", error);
   }
 }
 
-// Click handler to perform extraction
+/**
+ * Mouse move handler for hover highlighting during extraction mode.
+ * Updates the blue border overlay to follow the cursor over elements.
+ * @param {MouseEvent} event - Mouse move event
+ */
+function handleMouseMove(event) {
+  if (!isExtracting || !hoverOverlay) return;
+  highlightElement(getEventTarget(event));
+}
+
+/**
+ * Keyboard navigation while extraction mode is on.
+ * ArrowUp / "[" selects the parent, ArrowDown / "]" the first child,
+ * ArrowLeft / ArrowRight the previous / next sibling. Enter extracts the
+ * highlighted element (or the multi-select set), Shift+Enter toggles the
+ * highlighted element in the set, and Escape cancels extraction.
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleKeyDown(event) {
+  if (!isExtracting) return;
+
+  if (event.key === "Escape") {
+    event.preventDefault();
+    event.stopPropagation();
+    stopExtraction();
+    return;
+  }
+
+  if (!pickerTarget) return;
+
+  if (event.key === "Enter") {
+    event.preventDefault();
+    event.stopPropagation();
+    if (event.shiftKey) {
+      toggleSelection(pickerTarget);
+    } else {
+      extractPicked(pickerTarget);
+    }
+    return;
+  }
+
+  const moves = {
+    ArrowUp: () => getComposedParent(pickerTarget),
+    "[": () => getComposedParent(pickerTarget),
+    ArrowDown: () => getComposedFirstChild(pickerTarget),
+    "]": () => getComposedFirstChild(pickerTarget),
+    ArrowLeft: () => pickerTarget.previousElementSibling,
+    ArrowRight: () => pickerTarget.nextElementSibling,
+  };
+  const move = moves[event.key];
+  if (!move) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+
+  const next = move();
+  if (isPickable(next) && next !== document.body) {
+    highlightElement(next);
+  }
+}
+
+/**
+ * Click handler to perform extraction.
+ * Shift+click toggles the element in the multi-select set; a plain click
+ * extracts the element, or the whole selection (plus the element) if one exists.
+ * @param {MouseEvent} event - Click event
+ */
 function handleClick(event) {
   if (!isExtracting) return;
-  const target = event.target;
-  if (!target || sidebarEl?.contains(target) || target === hoverOverlay) return;
+  const target = getEventTarget(event);
+  if (!isPickable(target)) return;
 
   event.preventDefault();
   event.stopPropagation();
 
+  if (event.shiftKey) {
+    toggleSelection(target);
+    return;
+  }
+
+  if (selectedElements.length && !selectedElements.includes(target)) {
+    selectedElements.push(target);
+  }
+  extractPicked(target);
+}
+
+/**
+ * Stop picking and extract the current selection, or the given element when nothing is selected.
+ * @param {Element} target - Element under the cursor or keyboard highlight
+ */
+function extractPicked(target) {
+  const picked = selectedElements.length > 1 ? [...selectedElements] : target;
+  stopExtraction();
+  extractAndShow(picked);
+}
+
+/**
+ * Add or remove an element from the composite selection, with a persistent outline.
+ * @param {Element} el - Element to toggle
+ */
+function toggleSelection(el) {
+  const outline = selectionOutlines.get(el);
+  if (outline) {
+    outline.remove();
+    selectionOutlines.delete(el);
+    selectedElements = selectedElements.filter((selected) => selected !== el);
+  } else {
+    const rect = getPageRect(el);
+    const box = document.createElement("div");
+    box.className = "cre-selection-outline";
+    box.style.position = "absolute";
+    box.style.pointerEvents = "none";
+    box.style.zIndex = "2147483645";
+    box.style.border = "2px dashed #f59e0b";
+    box.style.borderRadius = "4px";
+    box.style.left = `${rect.left}px`;
+    box.style.top = `${rect.top}px`;
+    box.style.width = `${rect.width}px`;
+    box.style.height = `${rect.height}px`;
+    document.documentElement.appendChild(box);
+    selectionOutlines.set(el, box);
+    selectedElements.push(el);
+  }
+  if (pickerTarget) highlightElement(pickerTarget);
+}
+
+// Drop the composite selection and its outlines
+function clearSelection() {
+  selectionOutlines.forEach((box) => box.remove());
+  selectionOutlines = new Map();
+  selectedElements = [];
+}
+
+/**
+ * Extract an element, optionally inline its small assets, and open the sidebar.
+ * @param {Element|Element[]} target - Element chosen by the user, or a composite selection
+ */
+async function extractAndShow(target) {
   try {
-    stopExtraction();
-    const extracted = extractElement(target);
+    let extracted = extractElement(target, extractionOptions);
+    if (extractionOptions.inlineAssets) {
+      extracted = await inlineSmallAssets(extracted);
+    }
+
+    // Page markup may carry handlers or script URLs; strip them before the
+    // component is previewed, sent to the AI or saved
+    const { sanitizeHtml } = await loadDomUtils();
+    const { html, report } = sanitizeHtml(extracted.html);
+    extracted = {
+      ...extracted,
+      html,
+      report: { ...extracted.report, sanitized: report },
+    };
+
+    extracted.label = Array.isArray(target)
+      ? `${target.length} elements`
+      : describeElement(target);
     lastExtractedComponent = extracted;
+    recordHistory({
+      kind: "extraction",
+      label: extracted.label,
+      original: extracted,
+    });
     showSidebar(extracted);
   } catch (error) {
     console.error("CRE: Extraction failed:", error);
@@ -87,157 +451,1475 @@ function handleClick(event) {
 }
 
 /**
- * Extract outerHTML and computed CSS for a DOM element.
- * Cleans up IDs/classes to avoid conflicts and extracts relevant styles.
- * @param {HTMLElement} el - The element to extract
- * @returns {{html: string, css: string}} Object with cleaned HTML and extracted CSS
+ * Add an extraction or remix to this tab's history in the background, where
+ * the popup can pick it up even if it was closed at the time.
+ * @param {Object} entry - kind, label, prompt, original component and variants
+ */
+function recordHistory(entry) {
+  chrome.runtime.sendMessage(
+    { type: "CRE_RECORD_HISTORY", payload: entry },
+    (response) => {
+      if (chrome.runtime.lastError || !response?.ok) {
+        console.warn(
+          "CRE: Could not record history:",
+          chrome.runtime.lastError || response?.error
+        );
+      }
+    }
+  );
+}
+
+/**
+ * Import the shared DOM helpers (sanitizer). Content scripts are classic
+ * scripts, so the module is loaded dynamically as a web-accessible resource.
+ * @returns {Promise<Object>} The utils/dom.js module
+ */
+async function loadDomUtils() {
+  if (!domUtils) {
+    domUtils = await import(chrome.runtime.getURL("utils/dom.js"));
+  }
+  return domUtils;
+}
+
+/**
+ * Import the variant checks, loaded like the DOM helpers.
+ * @returns {Promise<Object>} The utils/validation.js module
  */
-function extractElement(el) {
-  if (!el || !el.cloneNode) {
+async function loadValidationUtils() {
+  if (!validationUtils) {
+    validationUtils = await import(chrome.runtime.getURL("utils/validation.js"));
+  }
+  return validationUtils;
+}
+
+/**
+ * Import the design system checks, loaded like the DOM helpers.
+ * @returns {Promise<Object>} The utils/design-system.js module
+ */
+async function loadDesignSystemUtils() {
+  if (!designSystemUtils) {
+    designSystemUtils = await import(chrome.runtime.getURL("utils/design-system.js"));
+  }
+  return designSystemUtils;
+}
+
+/**
+ * Import the prompt preset helpers, loaded like the DOM helpers.
+ * @returns {Promise<Object>} The utils/presets.js module
+ */
+async function loadPresetUtils() {
+  if (!presetUtils) {
+    presetUtils = await import(chrome.runtime.getURL("utils/presets.js"));
+  }
+  return presetUtils;
+}
+
+// Class given to the extracted root; descendants get numbered variants of it
+const CRE_ROOT_CLASS = "cre-component";
+
+// Computed-style properties captured for every extracted element
+const COMPUTED_STYLE_PROPS = [
+  // Layout
+  "display",
+  "boxSizing",
+  "position",
+  "top",
+  "right",
+  "bottom",
+  "left",
+  "float",
+  "clear",
+  "zIndex",
+  "width",
+  "height",
+  "minWidth",
+  "minHeight",
+  "maxWidth",
+  "maxHeight",
+  "aspectRatio",
+  "verticalAlign",
+  // Flexbox
+  "flexDirection",
+  "flexWrap",
+  "flexGrow",
+  "flexShrink",
+  "flexBasis",
+  "order",
+  "justifyContent",
+  "justifyItems",
+  "justifySelf",
+  "alignContent",
+  "alignItems",
+  "alignSelf",
+  "rowGap",
+  "columnGap",
+  // Grid
+  "gridTemplateColumns",
+  "gridTemplateRows",
+  "gridTemplateAreas",
+  "gridAutoColumns",
+  "gridAutoRows",
+  "gridAutoFlow",
+  "gridColumnStart",
+  "gridColumnEnd",
+  "gridRowStart",
+  "gridRowEnd",
+  // Spacing
+  "margin",
+  "marginTop",
+  "marginRight",
+  "marginBottom",
+  "marginLeft",
+  "padding",
+  "paddingTop",
+  "paddingRight",
+  "paddingBottom",
+  "paddingLeft",
+  // Visual
+  "backgroundColor",
+  "backgroundImage",
+  "backgroundSize",
+  "backgroundPosition",
+  "backgroundRepeat",
+  "backgroundClip",
+  "backgroundOrigin",
+  "backgroundAttachment",
+  "color",
+  "border",
+  "borderTop",
+  "borderRight",
+  "borderBottom",
+  "borderLeft",
+  "borderRadius",
+  "borderTopLeftRadius",
+  "borderTopRightRadius",
+  "borderBottomLeftRadius",
+  "borderBottomRightRadius",
+  "borderCollapse",
+  "borderSpacing",
+  "outlineColor",
+  "outlineStyle",
+  "outlineWidth",
+  "outlineOffset",
+  "boxShadow",
+  "opacity",
+  "visibility",
+  "filter",
+  "backdropFilter",
+  "mixBlendMode",
+  "clipPath",
+  "isolation",
+  "objectFit",
+  "objectPosition",
+  "listStyleType",
+  "listStylePosition",
+  "tableLayout",
+  // Transforms
+  "transform",
+  "transformOrigin",
+  "translate",
+  "rotate",
+  "scale",
+  "perspective",
+  "perspectiveOrigin",
+  "backfaceVisibility",
+  // Transitions and animations
+  "transitionProperty",
+  "transitionDuration",
+  "transitionTimingFunction",
+  "transitionDelay",
+  "animationName",
+  "animationDuration",
+  "animationTimingFunction",
+  "animationDelay",
+  "animationIterationCount",
+  "animationDirection",
+  "animationFillMode",
+  "animationPlayState",
+  // Typography
+  "fontFamily",
+  "fontSize",
+  "fontWeight",
+  "fontStyle",
+  "fontVariant",
+  "lineHeight",
+  "textAlign",
+  "textDecoration",
+  "textTransform",
+  "textIndent",
+  "textOverflow",
+  "textShadow",
+  "letterSpacing",
+  "wordSpacing",
+  "whiteSpace",
+  "wordBreak",
+  "overflowWrap",
+  // Other
+  "overflow",
+  "overflowX",
+  "overflowY",
+  "cursor",
+  "pointerEvents",
+  "userSelect",
+];
+
+// Longhands in COMPUTED_STYLE_PROPS that an authored var() shorthand already covers
+const SHORTHAND_LONGHANDS = {
+  margin: ["margin-top", "margin-right", "margin-bottom", "margin-left"],
+  padding: ["padding-top", "padding-right", "padding-bottom", "padding-left"],
+  border: ["border-top", "border-right", "border-bottom", "border-left"],
+  "border-radius": [
+    "border-top-left-radius",
+    "border-top-right-radius",
+    "border-bottom-left-radius",
+    "border-bottom-right-radius",
+  ],
+  overflow: ["overflow-x", "overflow-y"],
+};
+
+// Inherited properties are only emitted on descendants when they differ from the parent
+const INHERITED_STYLE_PROPS = new Set([
+  "color",
+  "visibility",
+  "borderCollapse",
+  "borderSpacing",
+  "listStyleType",
+  "listStylePosition",
+  "fontFamily",
+  "fontSize",
+  "fontWeight",
+  "fontStyle",
+  "fontVariant",
+  "lineHeight",
+  "textAlign",
+  "textTransform",
+  "textIndent",
+  "textShadow",
+  "letterSpacing",
+  "wordSpacing",
+  "whiteSpace",
+  "wordBreak",
+  "overflowWrap",
+  "cursor",
+  "pointerEvents",
+]);
+
+// Values treated as defaults when no user-agent baseline is available
+const EMPTY_STYLE_VALUES = new Set([
+  "0px",
+  "0",
+  "none",
+  "rgba(0, 0, 0, 0)",
+  "transparent",
+  "normal",
+  "auto",
+]);
+
+// Pseudo-elements read through getComputedStyle(el, pseudo)
+const PSEUDO_ELEMENTS = ["::before", "::after"];
+
+// Interactive states and pseudo-elements recognised in authored selectors
+const STATE_PSEUDO_PATTERN = /:(?:hover|focus-visible|focus|active)(?![\w-])/g;
+const STATE_OR_PSEUDO_PATTERN =
+  /::?(?:before|after)(?![\w-])|:(?:hover|focus-visible|focus|active)(?![\w-])/g;
+
+/**
+ * Extract outerHTML and CSS for a DOM element and its subtree.
+ * In "computed" mode every element in the clone gets a stable generated class
+ * so each node can carry its own computed styles. In "stylesheet" mode the
+ * original classes are kept and the authored rules matching the subtree are
+ * copied from the page's stylesheets. Passing several elements extracts them
+ * as one composite component wrapped in a synthetic container.
+ * @param {HTMLElement|HTMLElement[]} target - The element (or elements) to extract
+ * @param {Object} [options] - Extraction options
+ * @param {"computed"|"stylesheet"} [options.mode="computed"] - How CSS is collected
+ * @param {boolean} [options.responsive=false] - Also collect @media rules affecting the subtree
+ * @returns {{html: string, css: string, mode: string, breakpoints: string[], viewportWidth: number, assets: Object, tokens: Object<string, string>, report: Object}}
+ *   Cleaned HTML, extracted CSS (keeping var() references), the media queries it contains,
+ *   referenced assets, resolved custom properties and an extraction report
+ */
+function extractElement(
+  target,
+  { mode = EXTRACTION_MODES.COMPUTED, responsive = false } = {}
+) {
+  const elements = Array.isArray(target) ? target : [target];
+  if (!elements.length || elements.some((el) => !el || !el.cloneNode)) {
     throw new Error("Invalid element provided for extraction");
   }
 
-  // Deep clone the element to avoid modifying the original
-  const cloned = el.cloneNode(true);
+  // Deep clone the element(s) to avoid modifying the original; open shadow
+  // trees are flattened into the clone
+  const isComposite = elements.length > 1;
+  const { cloned, pairs, shadowRoots } = isComposite
+    ? cloneComposite(elements)
+    : cloneWithPairs(elements[0]);
+  const sources = getStyleSheetSources(elements, shadowRoots);
+  const ownerDocument = elements[0].ownerDocument || document;
+  const tokenUsage = collectCustomPropertyUsage(pairs, sources);
+  const report = { unreadableSheets: [] };
+  let css;
+
+  if (mode === EXTRACTION_MODES.STYLESHEET) {
+    cleanElementAttributes(cloned, { keepClasses: true });
+
+    const { entries, unreadableSheets } = collectMatchingStylesheetRules(
+      pairs.map((pair) => pair.source),
+      { responsive, sources }
+    );
+    report.unreadableSheets = unreadableSheets;
+
+    const cssParts = [formatRulesByMedia(entries)];
+
+    // Rules from cross-origin sheets are invisible to the CSSOM, so fall back
+    // to computed styles on generated classes added next to the original ones
+    if (unreadableSheets.length) {
+      pairs.forEach(({ clone, className }) => clone.classList.add(className));
+      cssParts.push(
+        "/* Computed fallback for unreadable stylesheets */",
+        buildComputedCssForSubtree(pairs, { sources, tokenUsage })
+      );
+    }
 
-  // Clean up IDs and classes to reduce conflicts with target pages
-  cleanElementAttributes(cloned);
+    css = cssParts.filter(Boolean).join("\n\n");
+  } else {
+    mode = EXTRACTION_MODES.COMPUTED;
 
+    // Clean up IDs and classes to reduce conflicts with target pages
+    cleanElementAttributes(cloned);
+    pairs.forEach(({ clone, className }) => {
+      clone.setAttribute("class", className);
+    });
+
+    css = buildComputedCssForSubtree(pairs, { responsive, sources, tokenUsage });
+  }
+
+  if (isComposite) cloned.classList.add(CRE_ROOT_CLASS);
+
+  // Bring along what the component references from elsewhere on the page
+  const spriteSheet = buildSvgSpriteSheet(cloned, ownerDocument);
+  if (spriteSheet) cloned.appendChild(spriteSheet);
+  const fontFaces = collectUsedFontFaces(pairs, sources);
+  const keyframes = collectUsedKeyframes(pairs, sources, css);
+  if (fontFaces.length || keyframes.length) {
+    css = [...fontFaces, css, ...keyframes].filter(Boolean).join("\n\n");
+  }
+
+  resolveElementAssetUrls(cloned, ownerDocument.baseURI);
   const html = cloned.outerHTML;
-  const css = buildComputedCssForElement(el);
+  const tokens = resolveCustomProperties(
+    listCustomPropertyNames(`${css}\n${html}`),
+    tokenUsage,
+    pairs[0]?.source || elements[0]
+  );
+
+  return {
+    html,
+    css,
+    mode,
+    breakpoints: listMediaQueries(css),
+    viewportWidth: window.innerWidth,
+    assets: { external: listAssetUrls(cloned, css), inlined: [] },
+    tokens,
+    report,
+  };
+}
+
+// User-agent default styles per tag, read once from the baseline frame
+const defaultStyleCache = new Map();
+
+/**
+ * Read the user-agent default value of every COMPUTED_STYLE_PROPS entry for
+ * an element's tag, by rendering an unstyled element of the same tag in a
+ * clean iframe. Pseudo-elements use an unstyled <span> (they default to inline).
+ * @param {Element} el - Element whose tag defines the baseline
+ * @param {string|null} [pseudo] - Pseudo-element being read, if any
+ * @returns {Object<string, string>|null} prop -> default value, or null if no baseline is available
+ */
+function getDefaultStylesFor(el, pseudo = null) {
+  const namespace = pseudo ? null : el.namespaceURI;
+  const tagName = pseudo ? "span" : el.localName;
+  const key = `${namespace || ""}|${tagName}`;
+  if (defaultStyleCache.has(key)) return defaultStyleCache.get(key);
 
-  return { html, css };
+  let defaults = null;
+  try {
+    const frameDoc = getBaselineDocument();
+    const probe =
+      namespace && namespace !== "http://www.w3.org/1999/xhtml"
+        ? frameDoc.createElementNS(namespace, tagName)
+        : frameDoc.createElement(tagName);
+    // SVG children only get their defaults inside an <svg>
+    const container =
+      namespace === "http://www.w3.org/2000/svg" && tagName !== "svg"
+        ? frameDoc.body.appendChild(
+            frameDoc.createElementNS(namespace, "svg")
+          )
+        : frameDoc.body;
+    container.appendChild(probe);
+
+    const computed = frameDoc.defaultView.getComputedStyle(probe);
+    defaults = {};
+    COMPUTED_STYLE_PROPS.forEach((prop) => {
+      defaults[prop] = computed[prop];
+    });
+
+    (container === frameDoc.body ? probe : container).remove();
+  } catch (error) {
+    console.warn("CRE: Could not read default styles for", tagName, error);
+  }
+
+  defaultStyleCache.set(key, defaults);
+  return defaults;
+}
+
+/**
+ * Create (or reuse) the hidden baseline iframe. It is written synchronously
+ * with a doctype so it renders in standards mode like most pages.
+ * @returns {Document} The iframe's document
+ */
+function getBaselineDocument() {
+  if (baselineFrame?.contentDocument) return baselineFrame.contentDocument;
+
+  baselineFrame = document.createElement("iframe");
+  baselineFrame.setAttribute("aria-hidden", "true");
+  baselineFrame.tabIndex = -1;
+  baselineFrame.style.cssText =
+    "position:fixed;left:-10000px;top:0;width:1024px;height:768px;border:0;visibility:hidden;pointer-events:none;";
+  document.documentElement.appendChild(baselineFrame);
+
+  const frameDoc = baselineFrame.contentDocument;
+  frameDoc.open();
+  frameDoc.write("<!DOCTYPE html><html><head></head><body></body></html>");
+  frameDoc.close();
+  return frameDoc;
+}
+
+// Remove the baseline iframe once an extraction is done; cached defaults remain
+function releaseBaselineFrame() {
+  if (baselineFrame) baselineFrame.remove();
+  baselineFrame = null;
+}
+
+/**
+ * Find the authored declarations that use var() for each element of the subtree.
+ * Computed styles only expose substituted values, so these are read from the
+ * matching stylesheet rules and inline styles. Later rules win over earlier
+ * ones; specificity is not taken into account.
+ * @param {Array} pairs - Element pairs from cloneWithPairs
+ * @param {Array<{sheet: CSSStyleSheet, host: Element|null}>} [sources] - Stylesheets to search
+ * @returns {Map<Element, Map<string, string>>} element -> (property -> authored value)
+ */
+function collectCustomPropertyUsage(pairs, sources) {
+  const usage = new Map();
+  const record = (el, declarations) => {
+    if (!usage.has(el)) usage.set(el, new Map());
+    declarations.forEach(({ name, value }) => usage.get(el).set(name, value));
+  };
+  const varDeclarations = (cssText) =>
+    parseDeclarations(cssText).filter(
+      ({ name, value }) => !name.startsWith("--") && value.includes("var(")
+    );
+
+  walkStylesheetRules(
+    (rule, media, host) => {
+      if (!isCssRule(rule, "CSSStyleRule")) return;
+      if (!rule.style.cssText.includes("var(")) return;
+
+      const declarations = varDeclarations(rule.style.cssText);
+      if (!declarations.length) return;
+
+      const selectorText = rewriteShadowSelector(rule.selectorText, host);
+      pairs.forEach(({ source }) => {
+        if (selectorMatchesAny(selectorText, [source])) record(source, declarations);
+      });
+    },
+    { sources }
+  );
+
+  // Inline styles override stylesheet rules
+  pairs.forEach(({ source }) => {
+    const inline = source.getAttribute("style");
+    if (inline && inline.includes("var(")) record(source, varDeclarations(inline));
+  });
+
+  return usage;
+}
+
+/**
+ * Split a declaration block into name/value pairs, ignoring semicolons inside
+ * parentheses or quotes. "!important" is dropped from values.
+ * @param {string} cssText - Declarations, e.g. "color: var(--a); margin: 0"
+ * @returns {Array<{name: string, value: string}>}
+ */
+function parseDeclarations(cssText) {
+  const declarations = [];
+  let depth = 0;
+  let quote = null;
+  let current = "";
+
+  const flush = () => {
+    const colon = current.indexOf(":");
+    if (colon > 0) {
+      declarations.push({
+        name: current.slice(0, colon).trim().toLowerCase(),
+        value: current
+          .slice(colon + 1)
+          .replace(/!\s*important\s*$/i, "")
+          .trim(),
+      });
+    }
+    current = "";
+  };
+
+  for (const char of cssText || "") {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "(") {
+      depth += 1;
+    } else if (char === ")") {
+      depth -= 1;
+    } else if (char === ";" && depth === 0) {
+      flush();
+      continue;
+    }
+    current += char;
+  }
+  flush();
+
+  return declarations;
+}
+
+/**
+ * List the custom property names referenced through var() in CSS or markup.
+ * @param {string} text - CSS and/or HTML
+ * @returns {string[]} Names such as "--brand-primary"
+ */
+function listCustomPropertyNames(text) {
+  const names = new Set();
+  for (const match of (text || "").matchAll(/var\(\s*(--[\w-]+)/g)) {
+    names.add(match[1]);
+  }
+  return Array.from(names);
+}
+
+/**
+ * Resolve custom properties to their values at the element that uses them
+ * (custom property computed values already have nested var() substituted).
+ * @param {string[]} names - Custom property names
+ * @param {Map<Element, Map<string, string>>} usage - Result of collectCustomPropertyUsage
+ * @param {Element} fallbackEl - Element to resolve at when no usage is recorded (the root)
+ * @returns {Object<string, string>} Token map, e.g. { "--brand-primary": "#0055ff" }
+ */
+function resolveCustomProperties(names, usage, fallbackEl) {
+  const tokens = {};
+
+  names.forEach((name) => {
+    const pattern = new RegExp(`var\\(\\s*${name}(?![\\w-])`);
+    let el = fallbackEl;
+    for (const [candidate, declarations] of usage) {
+      if (Array.from(declarations.values()).some((value) => pattern.test(value))) {
+        el = candidate;
+        break;
+      }
+    }
+
+    const value = getComputedStyleFor(el).getPropertyValue(name).trim();
+    if (value) tokens[name] = value;
+  });
+
+  return tokens;
+}
+
+// Attributes that point at assets (or links) and need absolute URLs
+const URL_ATTRIBUTES = ["src", "href", "xlink:href", "poster", "action"];
+
+// Assets at or below this size are inlined as data URIs when enabled
+const INLINE_ASSET_MAX_BYTES = 24 * 1024;
+
+/**
+ * Resolve a possibly relative URL against a base. Fragment-only references,
+ * data:/blob: URIs and non-http schemes are returned unchanged.
+ * @param {string} value - URL as written in the page
+ * @param {string} [base=document.baseURI] - Base URL (page or stylesheet)
+ * @returns {string}
+ */
+function resolveUrl(value, base = document.baseURI) {
+  const trimmed = (value || "").trim();
+  if (!trimmed || trimmed.startsWith("#") || /^(data|blob|javascript|mailto|tel):/i.test(trimmed)) {
+    return trimmed;
+  }
+  try {
+    return new URL(trimmed, base).href;
+  } catch (error) {
+    return trimmed;
+  }
+}
+
+/**
+ * Resolve every url(...) in a chunk of CSS against a base URL.
+ * @param {string} cssText - CSS text
+ * @param {string} [base=document.baseURI] - Base URL, usually the stylesheet's href
+ * @returns {string}
+ */
+function resolveCssUrls(cssText, base = document.baseURI) {
+  return (cssText || "").replace(
+    /url\(\s*(['"]?)(.*?)\1\s*\)/g,
+    (match, quote, url) => `url("${resolveUrl(url, base)}")`
+  );
+}
+
+/**
+ * Rewrite src, srcset, href and inline-style url() references in the clone to absolute URLs.
+ * @param {Element} root - Cloned component root
+ * @param {string} [base=document.baseURI] - Base URL of the document the component came from
+ */
+function resolveElementAssetUrls(root, base = document.baseURI) {
+  [root, ...root.querySelectorAll("*")].forEach((node) => {
+    URL_ATTRIBUTES.forEach((name) => {
+      const value = node.getAttribute(name);
+      if (value) node.setAttribute(name, resolveUrl(value, base));
+    });
+
+    const srcset = node.getAttribute("srcset");
+    if (srcset) {
+      node.setAttribute(
+        "srcset",
+        srcset
+          .split(",")
+          .map((candidate) => {
+            const [url, ...descriptors] = candidate.trim().split(/\s+/);
+            return [resolveUrl(url, base), ...descriptors].join(" ");
+          })
+          .join(", ")
+      );
+    }
+
+    const style = node.getAttribute("style");
+    if (style && style.includes("url(")) {
+      node.setAttribute("style", resolveCssUrls(style, base));
+    }
+  });
+}
+
+/**
+ * List the asset URLs a component loads: image/media sources, external SVG
+ * sprites and every url() in its CSS. Links (<a href>) are not assets.
+ * @param {Element} root - Cloned component root (already resolved)
+ * @param {string} css - Component CSS (already resolved)
+ * @returns {string[]} Absolute asset URLs
+ */
+function listAssetUrls(root, css) {
+  const urls = new Set();
+  const add = (url) => {
+    if (url && /^https?:/i.test(url)) urls.add(url);
+  };
+
+  [root, ...root.querySelectorAll("*")].forEach((node) => {
+    const tag = node.tagName.toLowerCase();
+    add(node.getAttribute("src"));
+    add(node.getAttribute("poster"));
+    if (tag === "use" || tag === "image") {
+      add((node.getAttribute("href") || node.getAttribute("xlink:href") || "").split("#")[0]);
+    }
+    (node.getAttribute("srcset") || "").split(",").forEach((candidate) => {
+      add(candidate.trim().split(/\s+/)[0]);
+    });
+    for (const match of (node.getAttribute("style") || "").matchAll(/url\("([^"]+)"\)/g)) {
+      add(match[1]);
+    }
+  });
+
+  for (const match of (css || "").matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/g)) {
+    add(match[2]);
+  }
+
+  return Array.from(urls);
+}
+
+/**
+ * Copy the <symbol> (or other) definitions referenced by <use href="#id"> in
+ * the clone into a hidden sprite sheet, so icons keep rendering off the page.
+ * @param {Element} root - Cloned component root
+ * @param {Document} [doc=document] - Document the component was extracted from
+ * @returns {SVGSVGElement|null} Sprite sheet to append, or null if nothing is referenced
+ */
+function buildSvgSpriteSheet(root, doc = document) {
+  const ids = new Set();
+  root.querySelectorAll("use").forEach((use) => {
+    const href = use.getAttribute("href") || use.getAttribute("xlink:href") || "";
+    if (href.startsWith("#")) ids.add(href.slice(1));
+  });
+
+  const definitions = Array.from(ids)
+    .map((id) => doc.getElementById(id))
+    .filter(Boolean);
+  if (!definitions.length) return null;
+
+  const svgNs = "http://www.w3.org/2000/svg";
+  const sprite = document.createElementNS(svgNs, "svg");
+  sprite.setAttribute("aria-hidden", "true");
+  sprite.setAttribute("style", "display:none");
+  const defs = document.createElementNS(svgNs, "defs");
+  definitions.forEach((definition) => defs.appendChild(definition.cloneNode(true)));
+  sprite.appendChild(defs);
+  return sprite;
+}
+
+/**
+ * Collect the @font-face rules for font families used anywhere in the subtree.
+ * Their src URLs are resolved against the stylesheet they came from.
+ * @param {Array} pairs - Element pairs from cloneWithPairs
+ * @param {Array<{sheet: CSSStyleSheet, host: Element|null}>} [sources] - Stylesheets to search
+ * @returns {string[]} @font-face rule text
+ */
+function collectUsedFontFaces(pairs, sources) {
+  const normalizeFamily = (family) =>
+    family.trim().replace(/^['"]|['"]$/g, "").toLowerCase();
+
+  const families = new Set();
+  pairs.forEach(({ source }) => {
+    const fontFamily = getComputedStyleFor(source).fontFamily || "";
+    fontFamily.split(",").forEach((family) => families.add(normalizeFamily(family)));
+  });
+
+  const fontFaces = [];
+  walkStylesheetRules(
+    (rule) => {
+      if (!isCssRule(rule, "CSSFontFaceRule")) return;
+      const family = normalizeFamily(rule.style.getPropertyValue("font-family"));
+      if (families.has(family)) {
+        fontFaces.push(resolveCssUrls(rule.cssText, getRuleBaseUrl(rule)));
+      }
+    },
+    { sources }
+  );
+
+  return Array.from(new Set(fontFaces));
+}
+
+/**
+ * Collect the @keyframes rules the subtree animates with: names from the
+ * computed animation-name of each element and its ::before/::after, plus
+ * names referenced by animation declarations in the extracted CSS (e.g. in
+ * :hover rules). When a name is defined more than once the last rule wins,
+ * as in the cascade.
+ * @param {Array} pairs - Element pairs from cloneWithPairs
+ * @param {Array<{sheet: CSSStyleSheet, host: Element|null}>} [sources] - Stylesheets to search
+ * @param {string} css - CSS extracted so far
+ * @returns {string[]} @keyframes rule text
+ */
+function collectUsedKeyframes(pairs, sources, css) {
+  const names = new Set();
+  const addNames = (animationName) => {
+    (animationName || "").split(",").forEach((name) => {
+      const trimmed = name.trim().replace(/^['"]|['"]$/g, "");
+      if (trimmed && trimmed !== "none") names.add(trimmed);
+    });
+  };
+
+  pairs.forEach(({ source }) => {
+    [null, ...PSEUDO_ELEMENTS].forEach((pseudo) => {
+      try {
+        addNames(getComputedStyleFor(source, pseudo).animationName);
+      } catch (error) {
+        // Pseudo-element styles are unavailable in some environments
+      }
+    });
+  });
+
+  const declarations = Array.from(
+    (css || "").matchAll(/animation(?:-name)?\s*:([^;}]*)/g),
+    (match) => match[1]
+  );
+  const isReferenced = (name) => {
+    if (names.has(name)) return true;
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const pattern = new RegExp(`(^|[\\s,'"])${escaped}($|[\\s,'"])`);
+    return declarations.some((value) => pattern.test(value));
+  };
+
+  const keyframes = new Map(); // name -> rule text
+  walkStylesheetRules(
+    (rule) => {
+      if (!isCssRule(rule, "CSSKeyframesRule") || !isReferenced(rule.name)) return;
+      keyframes.delete(rule.name);
+      keyframes.set(rule.name, resolveCssUrls(rule.cssText, getRuleBaseUrl(rule)));
+    },
+    { includeMedia: true, sources }
+  );
+
+  return Array.from(keyframes.values());
+}
+
+/**
+ * Base URL for relative url() values inside a rule: its stylesheet, else the page.
+ * @param {CSSRule} rule - Any CSSOM rule
+ * @returns {string}
+ */
+function getRuleBaseUrl(rule) {
+  return (
+    rule.parentStyleSheet?.href ||
+    rule.parentStyleSheet?.ownerNode?.ownerDocument?.baseURI ||
+    document.baseURI
+  );
+}
+
+/**
+ * Replace small external assets with data URIs. Fetching goes through the
+ * background service worker, which is not bound by the page's CORS policy
+ * when CRE has access to all sites.
+ * Assets that are too large or fail to load stay in assets.external; those
+ * that failed for lack of that access are listed in report.assetsWithoutPermission.
+ * @param {Object} component - Result of extractElement
+ * @returns {Promise<Object>} Component with inlined HTML/CSS and updated asset lists
+ */
+async function inlineSmallAssets(component) {
+  let { html, css } = component;
+  const external = [];
+  const inlined = [];
+  const withoutPermission = [];
+
+  const results = await Promise.all(
+    (component.assets?.external || []).map(
+      (url) =>
+        new Promise((resolve) => {
+          chrome.runtime.sendMessage(
+            { type: "FETCH_ASSET", payload: { url, maxBytes: INLINE_ASSET_MAX_BYTES } },
+            (response) => {
+              if (chrome.runtime.lastError) {
+                resolve({ url, ok: false });
+                return;
+              }
+              resolve({ url, ...(response || { ok: false }) });
+            }
+          );
+        })
+    )
+  );
+
+  results.forEach(({ url, ok, dataUri, permissionMissing }) => {
+    if (!ok || !dataUri) {
+      external.push(url);
+      if (permissionMissing) withoutPermission.push(url);
+      return;
+    }
+    // Attribute values escape "&", CSS does not
+    html = html.split(url.replace(/&/g, "&amp;")).join(dataUri).split(url).join(dataUri);
+    css = css.split(url).join(dataUri);
+    inlined.push(url);
+  });
+
+  return {
+    ...component,
+    html,
+    css,
+    assets: { external, inlined },
+    report: { ...component.report, assetsWithoutPermission: withoutPermission },
+  };
+}
+
+/**
+ * Visit every style rule of every readable stylesheet.
+ * Cross-origin sheets throw on cssRules access and are reported instead.
+ * @param {(rule: CSSRule, media: string|null, host: Element|null) => void} visit - Called once per rule;
+ *   host is set for rules from a shadow root's stylesheets
+ * @param {Object} [options] - Walk options
+ * @param {boolean} [options.includeMedia=false] - Descend into @media blocks and pass their condition to visit
+ * @param {Array<{sheet: CSSStyleSheet, host: Element|null}>} [options.sources] - Stylesheets to walk (defaults to the page's)
+ * @returns {string[]} URLs of stylesheets that could not be read
+ */
+function walkStylesheetRules(
+  visit,
+  { includeMedia = false, sources = getStyleSheetSources([]) } = {}
+) {
+  const unreadableSheets = [];
+
+  const walkRules = (rules, media, host) => {
+    Array.from(rules || []).forEach((rule) => {
+      if (includeMedia && isCssRule(rule, "CSSMediaRule")) {
+        const condition = rule.media.mediaText;
+        walkRules(
+          rule.cssRules,
+          media ? `${media} and ${condition}` : condition,
+          host
+        );
+        return;
+      }
+      visit(rule, media, host);
+    });
+  };
+
+  sources.forEach(({ sheet, host }) => {
+    let cssRules;
+    try {
+      cssRules = sheet.cssRules;
+    } catch (error) {
+      unreadableSheets.push(sheet.href || "(inline stylesheet)");
+      return;
+    }
+
+    walkRules(cssRules, null, host);
+  });
+
+  return unreadableSheets;
+}
+
+/**
+ * List the stylesheets that can style the extracted elements: those of each
+ * element's document (the page or a same-origin iframe) plus the <style> and
+ * adopted stylesheets of every shadow root involved.
+ * @param {Element[]} elements - Extracted root elements
+ * @param {ShadowRoot[]} [shadowRoots=[]] - Shadow roots met while cloning
+ * @returns {Array<{sheet: CSSStyleSheet, host: Element|null}>}
+ */
+function getStyleSheetSources(elements, shadowRoots = []) {
+  const documents = new Set([document]);
+  const roots = new Set(shadowRoots);
+
+  elements.forEach((el) => {
+    if (el.ownerDocument) documents.add(el.ownerDocument);
+    // Elements picked inside a shadow tree are styled by its sheets too
+    let root = el.getRootNode();
+    while (root && root.host) {
+      roots.add(root);
+      root = root.host.getRootNode();
+    }
+  });
+  // Composite and single extractions from an iframe only need that iframe's sheets
+  if (elements.length && !elements.some((el) => el.ownerDocument === document)) {
+    documents.delete(document);
+  }
+
+  const sources = [];
+  documents.forEach((doc) => {
+    Array.from(doc.styleSheets).forEach((sheet) => sources.push({ sheet, host: null }));
+  });
+  roots.forEach((root) => {
+    [...Array.from(root.styleSheets || []), ...(root.adoptedStyleSheets || [])].forEach(
+      (sheet) => sources.push({ sheet, host: root.host })
+    );
+  });
+
+  return sources;
+}
+
+/**
+ * Realm-safe rule type check: rules from iframe documents are not instances
+ * of this window's CSSOM classes.
+ * @param {CSSRule} rule - Any CSSOM rule
+ * @param {string} typeName - Constructor name, e.g. "CSSStyleRule"
+ * @returns {boolean}
+ */
+function isCssRule(rule, typeName) {
+  return rule?.constructor?.name === typeName;
+}
+
+/**
+ * Get computed styles from the element's own window (iframes have their own).
+ * @param {Element} el - Element to read
+ * @param {string|null} [pseudo] - Optional pseudo-element
+ * @returns {CSSStyleDeclaration}
+ */
+function getComputedStyleFor(el, pseudo = null) {
+  const view = el.ownerDocument?.defaultView || window;
+  return view.getComputedStyle(el, pseudo);
+}
+
+/**
+ * Rewrite a shadow-root selector for flattened markup: `:host` and
+ * `:host(.x)` become the host's tag name, `::slotted(x)` becomes `x`.
+ * @param {string} selectorText - Selector list from a shadow stylesheet
+ * @param {Element|null} host - Shadow host, or null for document rules
+ * @returns {string}
+ */
+function rewriteShadowSelector(selectorText, host) {
+  if (!host) return selectorText;
+  const hostTag = host.localName;
+  return selectorText
+    .replace(/:host\(([^)]*)\)/g, `${hostTag}$1`)
+    .replace(/:host(?![\w-])/g, hostTag)
+    .replace(/::slotted\(([^)]*)\)/g, "$1");
+}
+
+/**
+ * Collect authored style rules from document.styleSheets that match any of the elements.
+ * Rules for interactive states and pseudo-elements are matched against the
+ * element they apply to, so `.btn:hover` and `.btn::before` come along with `.btn`.
+ * @param {Element[]} elements - Elements of the extracted subtree
+ * @param {Object} [options] - Collection options
+ * @param {boolean} [options.responsive=false] - Include matching rules inside @media blocks
+ * @param {Array<{sheet: CSSStyleSheet, host: Element|null}>} [options.sources] - Stylesheets to search
+ * @returns {{entries: Array<{media: string|null, text: string}>, unreadableSheets: string[]}}
+ */
+function collectMatchingStylesheetRules(
+  elements,
+  { responsive = false, sources } = {}
+) {
+  const entries = [];
+
+  const unreadableSheets = walkStylesheetRules(
+    (rule, media, host) => {
+      if (!isCssRule(rule, "CSSStyleRule")) return;
+      const selectorText = rewriteShadowSelector(rule.selectorText, host);
+      if (!selectorMatchesAny(stripStateAndPseudo(selectorText), elements)) return;
+
+      const text = host
+        ? `${selectorText} { ${rule.style.cssText} }`
+        : rule.cssText;
+      entries.push({ media, text: resolveCssUrls(text, getRuleBaseUrl(rule)) });
+    },
+    { includeMedia: responsive, sources }
+  );
+
+  return { entries, unreadableSheets };
+}
+
+/**
+ * Rewrite authored rules onto generated classes.
+ * Top-level rules are only needed for interactive states (base styles come
+ * from getComputedStyle); rules inside @media blocks are all carried over so
+ * the component keeps its breakpoints. Only selectors whose states sit on the
+ * subject (e.g. `.nav a:hover`) can be mapped; states on an ancestor compound
+ * (`.card:hover .title`) are skipped.
+ * Computed base styles reflect the current viewport, so media rules that match
+ * it are effectively already baked into the base rules.
+ * @param {Array} pairs - Element pairs from cloneWithPairs
+ * @param {Object} [options] - Collection options
+ * @param {boolean} [options.responsive=false] - Include rules inside @media blocks
+ * @param {Array<{sheet: CSSStyleSheet, host: Element|null}>} [options.sources] - Stylesheets to search
+ * @returns {Array<{media: string|null, text: string}>} Rules such as `.cre-component-2:hover { ... }`
+ */
+function buildAuthoredCssForSubtree(pairs, { responsive = false, sources } = {}) {
+  const entries = [];
+
+  walkStylesheetRules(
+    (rule, media, host) => {
+      if (!isCssRule(rule, "CSSStyleRule")) return;
+
+      const selectorText = rewriteShadowSelector(rule.selectorText, host);
+      splitSelectorList(selectorText).forEach((selector) => {
+        const subject = getSubjectCompound(selector);
+        const ancestors = selector.slice(0, selector.length - subject.length);
+        if (ancestors.match(STATE_OR_PSEUDO_PATTERN)) return;
+        if (!media && !subject.match(STATE_PSEUDO_PATTERN)) return;
+
+        // Keep the subject's states and pseudo-element, in authored order
+        const suffix = (subject.match(STATE_OR_PSEUDO_PATTERN) || [])
+          .map((pseudo) => pseudo.replace(/^:(before|after)$/, "::$1"))
+          .join("");
+        const declarations = formatStyleDeclarations(rule.style);
+        if (!declarations.length) return;
+
+        const stripped = stripStateAndPseudo(selector);
+        pairs.forEach(({ source, className }) => {
+          if (selectorMatchesAny(stripped, [source])) {
+            entries.push({
+              media,
+              text: resolveCssUrls(
+                `.${className}${suffix} {\n${declarations.join("\n")}\n}`,
+                getRuleBaseUrl(rule)
+              ),
+            });
+          }
+        });
+      });
+    },
+    { includeMedia: responsive, sources }
+  );
+
+  return entries;
+}
+
+/**
+ * Join rules into a stylesheet, wrapping those from @media blocks in real media queries.
+ * Top-level rules come first so media rules can override them.
+ * @param {Array<{media: string|null, text: string}>} entries - Collected rules
+ * @returns {string} CSS text
+ */
+function formatRulesByMedia(entries) {
+  const groups = new Map(); // media condition ("" for top level) -> rule texts
+
+  entries.forEach(({ media, text }) => {
+    const key = media || "";
+    if (!groups.has(key)) groups.set(key, new Set());
+    groups.get(key).add(text);
+  });
+
+  return Array.from(groups.entries())
+    .sort(([a], [b]) => (a ? 1 : 0) - (b ? 1 : 0))
+    .map(([media, rules]) => {
+      const body = Array.from(rules).join("\n\n");
+      if (!media) return body;
+      const indented = body
+        .split("\n")
+        .map((line) => (line ? `  ${line}` : line))
+        .join("\n");
+      return `@media ${media} {\n${indented}\n}`;
+    })
+    .join("\n\n");
+}
+
+/**
+ * List the distinct media query conditions used in a stylesheet.
+ * @param {string} css - CSS text
+ * @returns {string[]} Conditions such as "(min-width: 768px)"
+ */
+function listMediaQueries(css) {
+  const queries = new Set();
+  for (const match of (css || "").matchAll(/@media\s+([^{]+?)\s*\{/g)) {
+    queries.add(match[1]);
+  }
+  return Array.from(queries);
+}
+
+/**
+ * Turn a CSSStyleDeclaration into indented declaration lines.
+ * @param {CSSStyleDeclaration} style - Declaration block of a CSS rule
+ * @returns {string[]} Lines such as "  color: red;"
+ */
+function formatStyleDeclarations(style) {
+  const lines = [];
+  for (let i = 0; i < style.length; i += 1) {
+    const name = style[i];
+    const priority = style.getPropertyPriority(name);
+    lines.push(
+      `  ${name}: ${style.getPropertyValue(name)}${priority ? ` !${priority}` : ""};`
+    );
+  }
+  return lines;
+}
+
+/**
+ * Remove interactive states and pseudo-elements from a selector so it can be
+ * tested with matches(). A bare pseudo (`.list :hover`) becomes `*`.
+ * @param {string} selectorText - Selector or selector list
+ * @returns {string}
+ */
+function stripStateAndPseudo(selectorText) {
+  return selectorText.replace(STATE_OR_PSEUDO_PATTERN, (match, offset, str) => {
+    const before = str.slice(0, offset);
+    return !before || /[\s>+~(,]$/.test(before) ? "*" : "";
+  });
+}
+
+/**
+ * Split a selector list on top-level commas (ignoring commas inside :is() etc.).
+ * @param {string} selectorText - Selector list
+ * @returns {string[]}
+ */
+function splitSelectorList(selectorText) {
+  const selectors = [];
+  let depth = 0;
+  let current = "";
+
+  for (const char of selectorText) {
+    if (char === "(" || char === "[") depth += 1;
+    if (char === ")" || char === "]") depth -= 1;
+    if (char === "," && depth === 0) {
+      selectors.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) selectors.push(current.trim());
+
+  return selectors;
+}
+
+/**
+ * Return the last compound selector (the subject) of a complex selector.
+ * @param {string} selector - Single complex selector, e.g. ".nav > a:hover"
+ * @returns {string} Subject compound, e.g. "a:hover"
+ */
+function getSubjectCompound(selector) {
+  let depth = 0;
+  for (let i = selector.length - 1; i >= 0; i -= 1) {
+    const char = selector[i];
+    if (char === ")" || char === "]") depth += 1;
+    if (char === "(" || char === "[") depth -= 1;
+    if (depth === 0 && /[\s>+~]/.test(char)) {
+      return selector.slice(i + 1);
+    }
+  }
+  return selector;
+}
+
+/**
+ * Check whether a selector list matches at least one of the elements.
+ * Selectors the browser cannot evaluate with matches() are treated as non-matching.
+ * @param {string} selectorText - Rule selector list
+ * @param {Element[]} elements - Candidate elements
+ * @returns {boolean}
+ */
+function selectorMatchesAny(selectorText, elements) {
+  try {
+    return elements.some((element) => element.matches(selectorText));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Deep-clone an element and pair every element of the original subtree with
+ * its counterpart in the clone, in document order. cloneNode(true) skips
+ * shadow roots, so the copy is built node by node: open shadow trees are
+ * flattened into the clone (slots replaced by their assigned nodes) and their
+ * <style>/<link> elements are left out, since shadow stylesheets are read
+ * through the CSSOM instead.
+ * @param {HTMLElement} source - Original element on the page
+ * @param {number} [offset=0] - Number added to generated class indices
+ * @returns {{cloned: Element, pairs: Array<{source: Element, clone: Element, parent: Element|null, className: string}>, shadowRoots: ShadowRoot[]}}
+ */
+function cloneWithPairs(source, offset = 0) {
+  const pairs = [];
+  const shadowRoots = [];
+
+  const isShadowStyle = (node) =>
+    (node.localName === "style" ||
+      (node.localName === "link" && /stylesheet/i.test(node.rel || ""))) &&
+    node.getRootNode() !== node.ownerDocument;
+
+  const appendChildren = (clone, children, parentSource) => {
+    Array.from(children).forEach((child) => {
+      if (child.nodeType === Node.ELEMENT_NODE) {
+        if (child.localName === "slot" && child.getRootNode().host) {
+          const assigned = child.assignedNodes({ flatten: true });
+          appendChildren(clone, assigned.length ? assigned : child.childNodes, parentSource);
+          return;
+        }
+        if (isShadowStyle(child)) return;
+      }
+      clone.appendChild(cloneNode(child, parentSource));
+    });
+  };
+
+  const cloneNode = (node, parentSource) => {
+    if (node.nodeType !== Node.ELEMENT_NODE) return node.cloneNode(false);
+
+    // <template> content is inert and lives outside childNodes
+    const isTemplate = node.localName === "template";
+    const clone = node.cloneNode(isTemplate);
+    const idx = pairs.length + offset;
+    pairs.push({
+      source: node,
+      clone,
+      parent: parentSource,
+      className: idx === 0 ? CRE_ROOT_CLASS : `${CRE_ROOT_CLASS}-${idx}`,
+    });
+    if (isTemplate) return clone;
+
+    if (node.shadowRoot) {
+      shadowRoots.push(node.shadowRoot);
+      appendChildren(clone, node.shadowRoot.childNodes, node);
+    } else {
+      appendChildren(clone, node.childNodes, node);
+    }
+    return clone;
+  };
+
+  const cloned = cloneNode(source, null);
+  return { cloned, pairs, shadowRoots };
+}
+
+/**
+ * Clone several elements into a synthetic container for composite extraction.
+ * Nested selections are dropped (the ancestor already contains them) and the
+ * rest are ordered top-to-bottom, left-to-right as they appear on screen.
+ * The container itself takes the root class; element numbering starts at 1.
+ * @param {Element[]} elements - Selected elements
+ * @returns {{cloned: HTMLDivElement, pairs: Array, shadowRoots: ShadowRoot[]}} Container clone, element pairs and shadow roots met
+ */
+function cloneComposite(elements) {
+  const outermost = elements.filter(
+    (el) => !elements.some((other) => other !== el && other.contains(el))
+  );
+  const ordered = outermost
+    .map((el) => ({ el, rect: el.getBoundingClientRect() }))
+    .sort((a, b) =>
+      Math.abs(a.rect.top - b.rect.top) > 1
+        ? a.rect.top - b.rect.top
+        : a.rect.left - b.rect.left
+    )
+    .map(({ el }) => el);
+
+  const cloned = document.createElement("div");
+  const pairs = [];
+  const shadowRoots = [];
+  ordered.forEach((el) => {
+    const part = cloneWithPairs(el, pairs.length + 1);
+    cloned.appendChild(part.cloned);
+    pairs.push(...part.pairs);
+    shadowRoots.push(...part.shadowRoots);
+  });
+
+  return { cloned, pairs, shadowRoots };
 }
 
 /**
  * Recursively clean element attributes to avoid conflicts.
- * Removes IDs, normalizes classes to "cre-component", and strips data-* attributes.
+ * Removes IDs, classes, and data-* attributes (generated classes are assigned afterwards).
  * @param {Node} node - DOM node to clean (recursively processes children)
+ * @param {Object} [options] - Cleaning options
+ * @param {boolean} [options.keepClasses=false] - Keep the page's original class names
  */
-function cleanElementAttributes(node) {
+function cleanElementAttributes(node, options = {}) {
   if (node.nodeType !== Node.ELEMENT_NODE) return;
 
   // Remove IDs to prevent conflicts
   node.removeAttribute("id");
 
-  // Normalize all classes to a generic "cre-component" class
-  const classList = Array.from(node.classList || []);
-  if (classList.length > 0) {
-    node.className = "cre-component";
-  }
+  // Drop page classes unless the caller relies on their authored rules
+  if (!options.keepClasses) {
+    node.removeAttribute("class");
+  }
+
+  // Remove data-* attributes (often contain page-specific state)
+  const attrs = Array.from(node.attributes || []);
+  attrs.forEach((attr) => {
+    if (attr.name.startsWith("data-")) {
+      node.removeAttribute(attr.name);
+    }
+  });
+
+  // Recursively clean child elements
+  Array.from(node.children).forEach((child) =>
+    cleanElementAttributes(child, options)
+  );
+}
+
+/**
+ * Build one CSS rule per distinct style block across the extracted subtree.
+ * Elements whose declarations are identical share a single rule. ::before and
+ * ::after are read from computed styles; interactive states (and, when
+ * responsive, @media rules) are appended from the page's authored rules.
+ * @param {Array} pairs - Element pairs from cloneWithPairs
+ * @param {Object} [options] - Build options
+ * @param {boolean} [options.responsive=false] - Include @media rules affecting the subtree
+ * @param {Array<{sheet: CSSStyleSheet, host: Element|null}>} [options.sources] - Stylesheets to search for authored rules
+ * @param {Map<Element, Map<string, string>>} [options.tokenUsage] - Authored var() declarations per element
+ * @returns {string} CSS string for the whole component
+ */
+function buildComputedCssForSubtree(
+  pairs,
+  { responsive = false, sources, tokenUsage = new Map() } = {}
+) {
+  const blocks = new Map(); // declarations -> selectors
+
+  const addBlock = (lines, selector) => {
+    if (!lines.length) return;
+    const key = lines.join("\n");
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(selector);
+  };
+
+  pairs.forEach(({ source, parent, className }) => {
+    addBlock(
+      buildComputedCssForElement(source, parent, null, tokenUsage.get(source)),
+      `.${className}`
+    );
+    PSEUDO_ELEMENTS.forEach((pseudo) => {
+      addBlock(
+        buildComputedCssForElement(source, parent, pseudo),
+        `.${className}${pseudo}`
+      );
+    });
+  });
+
+  const baseCss = Array.from(blocks.entries())
+    .map(([declarations, selectors]) => `${selectors.join(",\n")} {\n${declarations}\n}`)
+    .join("\n\n");
 
-  // Remove data-* attributes (often contain page-specific state)
-  const attrs = Array.from(node.attributes || []);
-  attrs.forEach((attr) => {
-    if (attr.name.startsWith("data-")) {
-      node.removeAttribute(attr.name);
-    }
-  });
+  releaseBaselineFrame();
 
-  // Recursively clean child elements
-  Array.from(node.children).forEach(cleanElementAttributes);
+  const authoredCss = formatRulesByMedia(
+    buildAuthoredCssForSubtree(pairs, { responsive, sources })
+  );
+
+  return [baseCss, authoredCss].filter(Boolean).join("\n\n");
 }
 
 /**
- * Extract computed CSS styles for an element and its direct children.
- * Captures layout, typography, colors, and spacing properties.
- * @param {HTMLElement} el - The root element to extract styles from
- * @returns {string} CSS string with styles for the component
+ * Extract computed CSS declarations for a single element or one of its pseudo-elements.
+ * Only properties that differ from the user-agent default for the element's
+ * tag are emitted (see getDefaultStylesFor). Inherited properties are compared
+ * against the parent's computed value instead (for a pseudo-element, the
+ * parent is its originating element).
+ * @param {Element} el - The element to extract styles from
+ * @param {Element|null} [parent] - Parent element inside the extracted subtree
+ * @param {string|null} [pseudo] - "::before" or "::after" to read a pseudo-element
+ * @param {Map<string, string>|null} [authored] - Authored values containing var(), emitted instead of the computed value
+ * @returns {string[]} CSS declaration lines (e.g. "  color: red;")
  */
-function buildComputedCssForElement(el) {
+function buildComputedCssForElement(
+  el,
+  parent = null,
+  pseudo = null,
+  authored = null
+) {
   if (!el || !window.getComputedStyle) {
-    return "";
+    return [];
   }
 
   try {
-    const computed = window.getComputedStyle(el);
-    const importantProps = [
-      // Layout
-      "display",
-      "position",
-      "top",
-      "right",
-      "bottom",
-      "left",
-      "width",
-      "height",
-      "minWidth",
-      "minHeight",
-      "maxWidth",
-      "maxHeight",
-      "flexDirection",
-      "flexWrap",
-      "justifyContent",
-      "alignItems",
-      "gap",
-      // Spacing
-      "margin",
-      "marginTop",
-      "marginRight",
-      "marginBottom",
-      "marginLeft",
-      "padding",
-      "paddingTop",
-      "paddingRight",
-      "paddingBottom",
-      "paddingLeft",
-      // Visual
-      "backgroundColor",
-      "color",
-      "border",
-      "borderTop",
-      "borderRight",
-      "borderBottom",
-      "borderLeft",
-      "borderRadius",
-      "borderTopLeftRadius",
-      "borderTopRightRadius",
-      "borderBottomLeftRadius",
-      "borderBottomRightRadius",
-      "boxShadow",
-      "opacity",
-      // Typography
-      "fontFamily",
-      "fontSize",
-      "fontWeight",
-      "fontStyle",
-      "lineHeight",
-      "textAlign",
-      "textDecoration",
-      "letterSpacing",
-      // Other
-      "overflow",
-      "overflowX",
-      "overflowY",
-      "cursor",
-      "zIndex",
-    ];
-
+    const computed = getComputedStyleFor(el, pseudo);
     const lines = [];
-    importantProps.forEach((prop) => {
+
+    // Pseudo-elements without content are not rendered
+    if (pseudo) {
+      const content = computed.content;
+      if (!content || content === "none" || content === "normal") return [];
+      lines.push(`  content: ${content};`);
+    }
+
+    const parentComputed = pseudo
+      ? getComputedStyleFor(el)
+      : parent
+        ? getComputedStyleFor(parent)
+        : null;
+    const defaults = getDefaultStylesFor(el, pseudo);
+    // Defaults such as border and outline colors follow currentColor
+    const isDefaultValue = (prop, value) =>
+      defaults[prop] === value ||
+      (Boolean(defaults.color) &&
+        defaults[prop]?.replaceAll(defaults.color, computed.color) === value);
+
+    // Computed longhands would override the var() in an authored shorthand
+    const coveredLonghands = new Set();
+    Object.entries(SHORTHAND_LONGHANDS).forEach(([shorthand, longhands]) => {
+      if (!authored?.has(shorthand)) return;
+      longhands
+        .filter((longhand) => !authored.has(longhand))
+        .forEach((longhand) => coveredLonghands.add(longhand));
+    });
+
+    COMPUTED_STYLE_PROPS.forEach((prop) => {
       const cssName = prop.replace(/[A-Z]/g, (m) => "-" + m.toLowerCase());
       const value = computed[prop];
 
-      // Skip empty, zero, or transparent values
-      if (
-        value &&
-        value !== "0px" &&
-        value !== "0" &&
-        value !== "none" &&
-        value !== "rgba(0, 0, 0, 0)" &&
-        value !== "transparent" &&
-        value !== "normal" &&
-        value !== "auto"
-      ) {
-        lines.push(`  ${cssName}: ${value};`);
+      if (!value || coveredLonghands.has(cssName)) return;
+
+      const inheritsFromParent =
+        parentComputed && INHERITED_STYLE_PROPS.has(prop);
+      if (inheritsFromParent && parentComputed[prop] === value) return;
+
+      // Authored var() values are kept even when they resolve to the default
+      const matchesDefault = defaults
+        ? isDefaultValue(prop, value)
+        : EMPTY_STYLE_VALUES.has(value);
+      if (!inheritsFromParent && !authored?.has(cssName) && matchesDefault) {
+        return;
       }
+
+      lines.push(`  ${cssName}: ${authored?.get(cssName) || value};`);
     });
 
-    if (!lines.length) return "";
-    return `.cre-component {\n${lines.join("\n")}\n}`;
+    return lines;
   } catch (error) {
     console.error("CRE: Failed to extract CSS:", error);
-    return "";
+    return [];
   }
 }
 
@@ -268,36 +1950,79 @@ function showSidebar(component) {
     </div>
     <div style="padding:12px 16px;font-size:12px;line-height:1.5;flex:0 0 auto;">
       <div style="margin-bottom:8px;font-weight:500;">Original preview</div>
-      <div id="cre-original-preview" style="background:#111827;border:1px solid #1f2937;border-radius:6px;padding:8px;max-height:140px;overflow:auto;"></div>
-      <style id="cre-original-style"></style>
+      <div id="cre-original-preview" style="background:#ffffff;border:1px solid #1f2937;border-radius:6px;padding:8px;max-height:140px;overflow:auto;"></div>
+      <div id="cre-extraction-report" style="margin-top:6px;color:#f59e0b;font-size:11px;display:none;"></div>
     </div>
     <div style="padding:0 16px 12px;font-size:12px;flex:0 0 auto;">
-      <label for="cre-prompt" style="display:block;margin-bottom:4px;font-weight:500;">Remix prompt</label>
+      <div style="display:flex;align-items:center;gap:6px;margin-bottom:4px;">
+        <label id="cre-prompt-label" for="cre-prompt" style="flex:1;min-width:0;font-weight:500;">Remix prompt</label>
+        <select id="cre-preset-select" aria-label="Prompt preset" style="max-width:50%;border-radius:4px;border:1px solid #374151;background:#020617;color:#e5e7eb;padding:2px 4px;font-size:11px;">
+          <option value="">Presets…</option>
+        </select>
+      </div>
       <textarea id="cre-prompt" rows="3" style="width:100%;resize:vertical;border-radius:4px;border:1px solid #374151;background:#020617;color:#e5e7eb;padding:6px 8px;font-size:12px;" placeholder="e.g. Add dark mode and rounded corners"></textarea>
-      <button id="cre-remix-btn" style="margin-top:8px;width:100%;padding:6px 8px;border-radius:4px;border:none;background:#2563eb;color:white;font-size:12px;font-weight:500;cursor:pointer;">Remix with AI</button>
+      <div id="cre-preset-vars" style="display:none;grid-template-columns:1fr 1fr;gap:6px;margin-top:6px;"></div>
+      <details id="cre-remix-options" style="margin-top:6px;">
+        <summary style="cursor:pointer;color:#9ca3af;">Options</summary>
+        <div style="display:grid;grid-template-columns:1fr 1fr;gap:6px;margin-top:6px;">
+          <label style="display:flex;flex-direction:column;gap:2px;color:#9ca3af;font-size:11px;">Variants
+            <input id="cre-opt-variants" type="number" min="1" max="6" step="1" placeholder="3" style="width:100%;box-sizing:border-box;border-radius:4px;border:1px solid #374151;background:#020617;color:#e5e7eb;padding:4px 6px;font-size:12px;" />
+          </label>
+          <label style="display:flex;flex-direction:column;gap:2px;color:#9ca3af;font-size:11px;">Temperature
+            <input id="cre-opt-temperature" type="number" min="0" max="2" step="0.1" placeholder="0.7" style="width:100%;box-sizing:border-box;border-radius:4px;border:1px solid #374151;background:#020617;color:#e5e7eb;padding:4px 6px;font-size:12px;" />
+          </label>
+          <label style="display:flex;flex-direction:column;gap:2px;color:#9ca3af;font-size:11px;">Max tokens
+            <input id="cre-opt-max-tokens" type="number" min="256" max="32000" step="256" placeholder="4096" style="width:100%;box-sizing:border-box;border-radius:4px;border:1px solid #374151;background:#020617;color:#e5e7eb;padding:4px 6px;font-size:12px;" />
+          </label>
+          <label style="display:flex;flex-direction:column;gap:2px;color:#9ca3af;font-size:11px;">Model
+            <input id="cre-opt-model" type="text" placeholder="From settings" style="width:100%;box-sizing:border-box;border-radius:4px;border:1px solid #374151;background:#020617;color:#e5e7eb;padding:4px 6px;font-size:12px;" />
+          </label>
+          <label style="grid-column:1 / -1;display:flex;flex-direction:column;gap:2px;color:#9ca3af;font-size:11px;">Extra instructions
+            <textarea id="cre-opt-addendum" rows="2" maxlength="2000" placeholder="Added to the system prompt, e.g. Use only system fonts" style="resize:vertical;width:100%;box-sizing:border-box;border-radius:4px;border:1px solid #374151;background:#020617;color:#e5e7eb;padding:4px 6px;font-size:12px;"></textarea>
+          </label>
+        </div>
+      </details>
+      <div style="margin-top:8px;display:flex;gap:6px;">
+        <button id="cre-remix-btn" style="flex:1;padding:6px 8px;border-radius:4px;border:none;background:#2563eb;color:white;font-size:12px;font-weight:500;cursor:pointer;">Remix with AI</button>
+        <button id="cre-cancel-remix-btn" type="button" style="display:none;padding:6px 10px;border-radius:4px;border:1px solid #374151;background:#111827;color:#e5e7eb;font-size:12px;cursor:pointer;">Cancel</button>
+      </div>
       <div id="cre-remix-status" style="margin-top:6px;color:#9ca3af;min-height:16px;"></div>
     </div>
     <div style="flex:1 1 auto;overflow:auto;padding:0 16px 12px;font-size:12px;border-top:1px solid #1f2937;">
       <div style="margin:8px 0;font-weight:500;">Remixed variants</div>
+      <div id="cre-lineage-path" style="display:flex;flex-wrap:wrap;align-items:center;gap:2px;margin-bottom:8px;color:#6b7280;"></div>
       <div id="cre-variants-container" style="display:flex;flex-direction:column;gap:8px;"></div>
-      <div style="margin-top:8px;font-size:11px;color:#9ca3af;">
-        You can generate framework-specific code and save components from the extension popup.
-      </div>
+    </div>
+    <div style="padding:12px 16px;font-size:12px;flex:0 0 auto;border-top:1px solid #1f2937;">
+      <div style="margin-bottom:8px;font-weight:500;">Save to library</div>
+      <form id="cre-save-form" style="display:flex;flex-direction:column;gap:6px;margin:0;">
+        <input id="cre-save-name" type="text" required placeholder="Component name" style="border-radius:4px;border:1px solid #374151;background:#020617;color:#e5e7eb;padding:6px 8px;font-size:12px;" />
+        <input id="cre-save-tags" type="text" placeholder="Tags (comma separated)" style="border-radius:4px;border:1px solid #374151;background:#020617;color:#e5e7eb;padding:6px 8px;font-size:12px;" />
+        <div style="display:flex;gap:6px;">
+          <select id="cre-save-variant" aria-label="Variant to save" style="flex:1;min-width:0;border-radius:4px;border:1px solid #374151;background:#020617;color:#e5e7eb;padding:4px 6px;font-size:12px;">
+            <option value="">Original</option>
+          </select>
+          <select id="cre-save-framework" aria-label="Framework" style="flex:1;min-width:0;border-radius:4px;border:1px solid #374151;background:#020617;color:#e5e7eb;padding:4px 6px;font-size:12px;">
+            <option value="react">React (JSX)</option>
+            <option value="vue">Vue SFC</option>
+            <option value="html">HTML + CSS</option>
+          </select>
+        </div>
+        <button id="cre-save-btn" type="submit" style="padding:6px 8px;border-radius:4px;border:1px solid #374151;background:#111827;color:#e5e7eb;font-size:12px;font-weight:500;cursor:pointer;">Save to library</button>
+        <div id="cre-save-status" style="color:#9ca3af;min-height:16px;"></div>
+      </form>
     </div>
   `;
 
   document.documentElement.appendChild(sidebarEl);
   applyPageShiftForSidebar();
 
-  // Fill original preview
+  // Fill original preview (isolated in its own shadow root)
   const preview = sidebarEl.querySelector("#cre-original-preview");
-  const styleEl = sidebarEl.querySelector("#cre-original-style");
   if (preview) {
-    preview.innerHTML = component.html;
-  }
-  if (styleEl) {
-    styleEl.textContent = component.css || "";
+    domUtils.renderIsolatedPreview(preview, component);
   }
+  renderExtractionReport(component.report);
 
   // Wire close button
   sidebarEl
@@ -306,139 +2031,980 @@ function showSidebar(component) {
       removeSidebar();
     });
 
+  sidebarLineage = [];
+  lineageReports = new Map();
+  lineageChecks = new Map();
+  wireSaveForm(component);
+  wirePresetPicker();
+  fillRemixOptions();
+  showLineageNode(null, component);
+
   // Wire remix button
   const remixBtn = sidebarEl.querySelector("#cre-remix-btn");
   const promptInput = sidebarEl.querySelector("#cre-prompt");
   const statusEl = sidebarEl.querySelector("#cre-remix-status");
 
-  remixBtn.addEventListener("click", () => {
-    const prompt = promptInput.value.trim();
+  remixBtn.addEventListener("click", async () => {
+    let prompt = promptInput.value.trim();
     if (!prompt) {
-      statusEl.textContent = "Enter a prompt to remix the component.";
+      statusEl.textContent = lineageNodeId
+        ? "Describe how to change this variant."
+        : "Enter a prompt to remix the component.";
       statusEl.style.color = "#ef4444"; // Red for error
       return;
     }
 
+    // Presets may leave {{variables}} in the prompt for the user to fill in
+    if (presetUtils) {
+      const missing = presetUtils
+        .listPresetVariables(prompt)
+        .find((name) => !presetVariableValues.get(name)?.trim());
+      if (missing) {
+        statusEl.textContent = `Fill in {{${missing}}} before sending.`;
+        statusEl.style.color = "#ef4444";
+        sidebarEl
+          .querySelector(`#cre-preset-vars input[data-variable="${missing}"]`)
+          ?.focus();
+        return;
+      }
+      prompt = presetUtils.fillPresetVariables(
+        prompt,
+        Object.fromEntries(
+          [...presetVariableValues].map(([name, value]) => [name, value.trim()])
+        )
+      );
+    }
+
     // Reset status styling
     statusEl.style.color = "#9ca3af";
     statusEl.textContent = "Contacting AI…";
     remixBtn.disabled = true;
 
-    // Send AI remix request to background service worker
+    try {
+      await Promise.all([loadValidationUtils(), loadDesignSystemUtils()]);
+    } catch (error) {
+      // The extension was reloaded or updated since this script was injected
+      console.error("CRE: Failed to load validation:", error);
+      statusEl.textContent = "Failed to communicate with extension. Please reload the page.";
+      statusEl.style.color = "#ef4444";
+      remixBtn.disabled = false;
+      return;
+    }
+
+    streamRemix(component, prompt, statusEl, remixBtn);
+  });
+}
+
+/**
+ * Wire the prompt preset dropdown: picking a preset puts its prompt in
+ * #cre-prompt, and the prompt's {{variables}} get an input each below it.
+ * Presets are re-read whenever the dropdown gets focus, so ones added in the
+ * popup show up without reopening the sidebar.
+ */
+async function wirePresetPicker() {
+  const select = sidebarEl.querySelector("#cre-preset-select");
+  const promptInput = sidebarEl.querySelector("#cre-prompt");
+  let presets = [];
+
+  try {
+    await loadPresetUtils();
+  } catch (error) {
+    // The extension was reloaded since this script was injected; remixing
+    // reports that, so just go without presets
+    console.error("CRE: Failed to load presets:", error);
+    select.style.display = "none";
+    return;
+  }
+
+  const refreshPresets = () => {
+    chrome.runtime.sendMessage({ type: "CRE_GET_PRESETS" }, (response) => {
+      if (chrome.runtime.lastError || !response?.ok) {
+        console.error(
+          "CRE: Failed to load presets:",
+          chrome.runtime.lastError || response?.error
+        );
+        return;
+      }
+      presets = response.presets;
+      select.replaceChildren(
+        new Option(presets.length ? "Presets…" : "No presets yet", ""),
+        ...presets.map((preset) => new Option(preset.name, preset.id))
+      );
+    });
+  };
+
+  select.addEventListener("focus", refreshPresets);
+  select.addEventListener("change", () => {
+    const preset = presets.find((p) => p.id === select.value);
+    select.value = "";
+    if (!preset) return;
+
+    promptInput.value = preset.prompt;
+    renderPresetVariables();
+    promptInput.focus();
+  });
+  promptInput.addEventListener("input", renderPresetVariables);
+
+  refreshPresets();
+  renderPresetVariables();
+}
+
+/**
+ * Show an input for each {{variable}} in the remix prompt. Values are kept
+ * by name, so a variable shared by several presets is only asked for once.
+ */
+function renderPresetVariables() {
+  const container = sidebarEl?.querySelector("#cre-preset-vars");
+  if (!container || !presetUtils) return;
+
+  const names = presetUtils.listPresetVariables(
+    sidebarEl.querySelector("#cre-prompt").value
+  );
+  // Only rebuild when the variables change, not on every keystroke in the prompt
+  if (container.dataset.variables === names.join(",")) return;
+  container.dataset.variables = names.join(",");
+
+  container.replaceChildren(
+    ...names.map((name) => {
+      const label = document.createElement("label");
+      label.style.display = "flex";
+      label.style.flexDirection = "column";
+      label.style.gap = "2px";
+      label.style.color = "#9ca3af";
+      label.style.fontSize = "11px";
+      label.textContent = name;
+
+      const input = document.createElement("input");
+      input.type = "text";
+      input.dataset.variable = name;
+      input.value = presetVariableValues.get(name) || "";
+      input.style.width = "100%";
+      input.style.boxSizing = "border-box";
+      input.style.borderRadius = "4px";
+      input.style.border = "1px solid #374151";
+      input.style.background = "#020617";
+      input.style.color = "#e5e7eb";
+      input.style.padding = "4px 6px";
+      input.style.fontSize = "12px";
+      input.addEventListener("input", () => {
+        presetVariableValues.set(name, input.value);
+      });
+
+      label.appendChild(input);
+      return label;
+    })
+  );
+  container.style.display = names.length ? "grid" : "none";
+}
+
+// Option fields and the RemixParameters (utils/ai.js) they set
+const REMIX_OPTION_FIELDS = {
+  "#cre-opt-variants": "variantCount",
+  "#cre-opt-temperature": "temperature",
+  "#cre-opt-max-tokens": "maxTokens",
+  "#cre-opt-model": "model",
+  "#cre-opt-addendum": "systemPromptAddendum",
+};
+
+// Prefill the sidebar's remix options with the defaults from the popup settings
+function fillRemixOptions() {
+  Object.entries(REMIX_OPTION_FIELDS).forEach(([selector, name]) => {
+    sidebarEl.querySelector(selector).value = remixDefaults[name] ?? "";
+  });
+}
+
+/**
+ * Read the sidebar's remix options. Empty fields are sent empty; the
+ * background fills them from the settings and clamps out-of-range values.
+ * @returns {Object} Partial RemixParameters
+ */
+function readRemixOptions() {
+  return Object.fromEntries(
+    Object.entries(REMIX_OPTION_FIELDS).map(([selector, name]) => [
+      name,
+      sidebarEl.querySelector(selector).value.trim(),
+    ])
+  );
+}
+
+/**
+ * Remix the version being refined (the original, or a variant chosen with
+ * "Refine this variant") over a port to the background service worker,
+ * rendering each variant card as soon as the AI has finished writing it. The
+ * results become children of that version in the lineage tree. Any remix
+ * still streaming is cancelled first.
+ * Each variant is validated as it arrives; failing ones are sent back to the
+ * AI with the errors found, up to REPAIR_ATTEMPTS times, and replaced in place.
+ * The background queues every request under an id: the Cancel button cancels
+ * them by id, and if the service worker is suspended the port is reopened and
+ * the requests are resumed by id.
+ * @param {Object} component - Extracted component
+ * @param {string} prompt - Remix prompt
+ * @param {HTMLElement} statusEl - Sidebar status line
+ * @param {HTMLButtonElement} remixBtn - Re-enabled when the remix ends
+ */
+function streamRemix(component, prompt, statusEl, remixBtn) {
+  remixPort?.disconnect();
+
+  // Refinements send the variant plus the prompts that produced it
+  const parentId = lineageNodeId;
+  const base = getLineageNode(parentId) || component;
+  const request = {
+    html: base.html,
+    css: base.css,
+    tokens: component.tokens,
+    prompt,
+    history: getLineagePath(parentId).map((node) => node.prompt),
+    parameters: readRemixOptions(),
+  };
+  const nodes = []; // lineage nodes created by this remix, by variant index
+  const pendingRepairs = new Set(); // indexes of variants waiting for a repair
+  let streamDone = false;
+  let parameters = null; // as resolved by the background, saved with each variant
+  let remixRequestId = null;
+  const repairRequests = new Map(); // repair request id -> variant index
+  let reconnects = 0;
+  let port = null;
+
+  const container = sidebarEl.querySelector("#cre-variants-container");
+  if (!sidebarVariants.length) container.innerHTML = "";
+  const cancelBtn = sidebarEl.querySelector("#cre-cancel-remix-btn");
+
+  const refreshCards = () => {
+    if (lineageNodeId === parentId) showLineageNode(parentId, component);
+  };
+
+  // Repairs that will not be answered leave their variants as they are
+  const dropPendingRepairs = () => {
+    if (!pendingRepairs.size) return;
+    pendingRepairs.forEach((index) => {
+      lineageChecks.get(nodes[index].id).repairing = false;
+    });
+    pendingRepairs.clear();
+    repairRequests.clear();
+    refreshCards();
+  };
+
+  const finish = (message, color) => {
+    remixPort = null;
+    port?.disconnect();
+    cancelBtn.removeEventListener("click", cancel);
+    cancelBtn.style.display = "none";
+    remixBtn.disabled = false;
+    statusEl.textContent = message;
+    statusEl.style.color = color;
+
+    // Repairs still in flight were cancelled with the port
+    dropPendingRepairs();
+  };
+
+  // Check a variant from the AI and ask for a repair if it fails and the budget allows
+  const validate = (index, variant) => {
+    const node = nodes[index];
+    const checks = validationUtils.validateVariant(variant, base);
+    const errors = validationUtils.describeValidationErrors(checks);
+    const attempts = lineageChecks.get(node.id)?.attempts || 0;
+    const repairing = errors.length > 0 && attempts < REPAIR_ATTEMPTS;
+
+    lineageChecks.set(node.id, {
+      checks,
+      attempts: repairing ? attempts + 1 : attempts,
+      repairing,
+    });
+    if (!repairing) {
+      pendingRepairs.delete(index);
+      return;
+    }
+    pendingRepairs.add(index);
+    port.postMessage({
+      type: "AI_REPAIR",
+      index,
+      payload: { ...request, variant, errors },
+    });
+  };
+
+  const acceptVariant = (variant) => {
+    const index = nodes.length;
+    const node = addLineageNode(parentId, prompt, variant, parameters);
+    nodes.push(node);
+    validate(index, variant);
+
+    // The user may have moved to another version while this one streams
+    if (lineageNodeId === parentId) {
+      sidebarVariants.push(node);
+      appendVariantCard(
+        node,
+        sidebarVariants.length - 1,
+        component,
+        lineageReports.get(node.id)
+      );
+      updateSaveVariantOptions();
+    }
+  };
+
+  // The remix ends once the AI has replied and no repairs are outstanding
+  const finishIfSettled = () => {
+    if (!streamDone) return;
+    if (pendingRepairs.size) {
+      statusEl.textContent = `Repairing ${pendingRepairs.size} variant${pendingRepairs.size === 1 ? "" : "s"} that failed validation…`;
+      return;
+    }
+
+    const variants = nodes.map(({ html, css, description, parameters }) => ({
+      html,
+      css,
+      description,
+      parameters,
+    }));
+    if (variants.length === 0) {
+      finish("No variants returned. Try a different prompt.", "#f59e0b"); // Orange for warning
+      return;
+    }
+
+    const failing = nodes.filter((node) =>
+      lineageChecks.get(node.id)?.checks.some((check) => !check.passed)
+    ).length;
+    const generated = `Generated ${variants.length} variant${variants.length > 1 ? "s" : ""}.`;
+    if (failing) {
+      finish(
+        `${generated} ${failing} still fail${failing === 1 ? "s" : ""} validation.`,
+        "#f59e0b"
+      );
+    } else {
+      finish(generated, "#10b981"); // Green for success
+    }
+
+    // Record the remix so it can be saved from the popup later
+    recordHistory({
+      kind: "remix",
+      label: component.label,
+      prompt,
+      original: component,
+      variants,
+      lineage: sidebarLineage,
+    });
+  };
+
+  const remixFailed = (error) => {
+    console.error("CRE: AI remix failed:", error);
+    finish(
+      error ||
+        "AI remix failed. You can manually edit the HTML/CSS when generating code.",
+      "#ef4444" // Red for error
+    );
+  };
+
+  const repairFinished = (index, variant, error) => {
+    const node = nodes[index];
+    if (!node || !pendingRepairs.has(index)) return;
+
+    if (variant) {
+      const { html, report } = domUtils.sanitizeHtml(variant.html || "");
+      node.html = html;
+      node.css = variant.css || "";
+      node.description = variant.description || node.description;
+      lineageReports.set(node.id, report);
+      validate(index, variant);
+    } else {
+      if (error) console.error("CRE: Variant repair failed:", error);
+      lineageChecks.get(node.id).repairing = false;
+      pendingRepairs.delete(index);
+    }
+    refreshCards();
+    finishIfSettled();
+  };
+
+  // Cancel the remix, or only the repairs if the variants are all in
+  const cancel = () => {
+    [remixRequestId, ...repairRequests.keys()].forEach((requestId) => {
+      if (requestId) port.postMessage({ type: "AI_CANCEL", requestId });
+    });
+    if (streamDone) {
+      dropPendingRepairs();
+      finishIfSettled();
+    } else {
+      finish("Remix cancelled.", "#9ca3af");
+    }
+  };
+
+  const handleMessage = (message) => {
+    const { type, requestId } = message || {};
+    const isRemix = requestId
+      ? requestId === remixRequestId
+      : message?.index === undefined;
+
+    if (type === "accepted") {
+      if (message.index === undefined) {
+        remixRequestId = requestId;
+      } else {
+        repairRequests.set(requestId, message.index);
+      }
+    } else if (!isRemix && !repairRequests.has(requestId) && requestId) {
+      // A request from before a cancel or restart
+    } else if (type === "queued" && isRemix) {
+      statusEl.textContent = `Waiting for other AI requests to finish (${message.position} in line)…`;
+    } else if (type === "started" && isRemix) {
+      statusEl.textContent =
+        message.attempt > 1 ? `Retrying (attempt ${message.attempt})…` : "Contacting AI…";
+    } else if (type === "retrying" && isRemix) {
+      const reason =
+        message.error?.status === 429 ? "Rate limited" : "AI provider unavailable";
+      statusEl.textContent = `${reason}; retrying in ${Math.ceil(message.delayMs / 1000)}s…`;
+    } else if (type === "parameters") {
+      parameters = message.parameters;
+    } else if (type === "progress") {
+      const ready = message.variants || 0;
+      statusEl.textContent = `Generating… ${ready} variant${ready === 1 ? "" : "s"} ready (${(message.received || 0).toLocaleString()} characters received)`;
+    } else if (type === "variant") {
+      // A retried or resumed request streams from the start again
+      if (message.index !== nodes.length) return;
+      acceptVariant(message.variant);
+    } else if (type === "done" && isRemix) {
+      // A request resumed after it finished only sends its result
+      parameters = message.result?.parameters || parameters;
+      nodes.forEach((node) => {
+        node.parameters = parameters;
+      });
+      // The full reply is authoritative if streaming missed a variant
+      (message.result?.variants || []).slice(nodes.length).forEach(acceptVariant);
+      streamDone = true;
+      remixRequestId = null;
+      finishIfSettled();
+    } else if (type === "done") {
+      const index = repairRequests.get(requestId);
+      repairRequests.delete(requestId);
+      repairFinished(index, message.result);
+    } else if ((type === "failed" || type === "cancelled") && isRemix) {
+      remixFailed(type === "failed" ? message.error : "Remix cancelled.");
+    } else if (type === "failed" || type === "cancelled") {
+      const index = requestId ? repairRequests.get(requestId) : message.index;
+      repairRequests.delete(requestId);
+      repairFinished(index, null, message.error);
+    }
+  };
+
+  // Open the port; after a suspension, ask for the requests still outstanding.
+  // Cancel is wired to one port at a time, so it never posts to a closed one.
+  const connect = () => {
+    try {
+      port = chrome.runtime.connect({ name: REMIX_PORT_NAME });
+    } catch (error) {
+      // The extension was reloaded or updated since this script was injected
+      console.error("CRE: Message error:", error);
+      return false;
+    }
+    remixPort = port;
+    port.onMessage.addListener(handleMessage);
+    cancelBtn.addEventListener("click", cancel);
+
+    // The service worker went away mid-request (or the extension was reloaded)
+    const current = port;
+    port.onDisconnect.addListener(() => {
+      if (remixPort !== current) return;
+      cancelBtn.removeEventListener("click", cancel);
+      const outstanding = [remixRequestId, ...repairRequests.keys()].filter(Boolean);
+      if (outstanding.length && reconnects < REMIX_RECONNECT_ATTEMPTS) {
+        reconnects++;
+        if (connect()) {
+          outstanding.forEach((id) => port.postMessage({ type: "AI_RESUME", requestId: id }));
+          return;
+        }
+      }
+      console.error("CRE: Remix port closed:", chrome.runtime.lastError);
+      finish("Lost connection to the extension. Please try again.", "#ef4444");
+    });
+    return true;
+  };
+
+  if (!connect()) {
+    statusEl.textContent = "Failed to communicate with extension. Please reload the page.";
+    statusEl.style.color = "#ef4444";
+    remixBtn.disabled = false;
+    return;
+  }
+
+  cancelBtn.style.display = "";
+  port.postMessage({ type: "AI_REMIX", payload: request });
+}
+
+/**
+ * Add a variant from the AI to the lineage tree, sanitizing its markup like
+ * the extracted markup.
+ * @param {string|null} parentId - Version that was remixed; null for the original
+ * @param {string} prompt - Prompt that produced the variant
+ * @param {Object} variant - Variant from the AI
+ * @param {Object|null} parameters - Remix parameters the variant was generated with
+ * @returns {Object} The new lineage node
+ */
+function addLineageNode(parentId, prompt, variant, parameters) {
+  const { html, report } = domUtils.sanitizeHtml(variant?.html || "");
+  const node = {
+    id: "node-" + Math.random().toString(36).slice(2, 10),
+    parentId,
+    prompt,
+    description: variant?.description || "",
+    html,
+    css: variant?.css || "",
+    parameters: parameters || null,
+    createdAt: Date.now(),
+  };
+  sidebarLineage.push(node);
+  lineageReports.set(node.id, report);
+  return node;
+}
+
+function getLineageNode(id) {
+  return sidebarLineage.find((node) => node.id === id) || null;
+}
+
+// Variants produced by remixing a version (null for the original), oldest first
+function getLineageChildren(parentId) {
+  return sidebarLineage.filter((node) => node.parentId === parentId);
+}
+
+// Nodes from the first remix of the original down to the given node
+function getLineagePath(id) {
+  const path = [];
+  for (let node = getLineageNode(id); node; node = getLineageNode(node.parentId)) {
+    path.unshift(node);
+  }
+  return path;
+}
+
+// "Variant 2": position among the variants of the same version
+function describeLineageNode(node) {
+  return `Variant ${getLineageChildren(node.parentId).indexOf(node) + 1}`;
+}
+
+/**
+ * Show a version of the component in the sidebar: the path to it from the
+ * original as a breadcrumb, and its variants as cards. The next remix refines it.
+ * @param {string|null} nodeId - Lineage node; null for the original
+ * @param {Object} component - Extracted component
+ */
+function showLineageNode(nodeId, component) {
+  if (!sidebarEl) return;
+  const current = getLineageNode(nodeId);
+  lineageNodeId = current ? current.id : null;
+
+  // Original › Variant 2 › Variant 1, each crumb going back to that version
+  const pathEl = sidebarEl.querySelector("#cre-lineage-path");
+  pathEl.replaceChildren();
+  [null, ...getLineagePath(lineageNodeId)].forEach((node, idx) => {
+    if (idx) pathEl.append("›");
+    const crumb = document.createElement("button");
+    crumb.type = "button";
+    crumb.textContent = node ? describeLineageNode(node) : "Original";
+    crumb.title = node ? node.prompt : "The extracted component";
+    crumb.disabled = node === current;
+    crumb.style.background = "transparent";
+    crumb.style.border = "none";
+    crumb.style.padding = "0 2px";
+    crumb.style.fontSize = "11px";
+    crumb.style.color = node === current ? "#e5e7eb" : "#60a5fa";
+    crumb.style.cursor = node === current ? "default" : "pointer";
+    crumb.addEventListener("click", () => showLineageNode(node?.id ?? null, component));
+    pathEl.appendChild(crumb);
+  });
+
+  sidebarEl.querySelector("#cre-prompt-label").textContent = current
+    ? `Refine ${describeLineageNode(current)}`
+    : "Remix prompt";
+  sidebarEl.querySelector("#cre-remix-btn").textContent = current
+    ? "Refine with AI"
+    : "Remix with AI";
+
+  sidebarVariants = getLineageChildren(lineageNodeId);
+  updateSaveVariantOptions();
+  renderVariants(
+    sidebarVariants,
+    component,
+    sidebarVariants.map((node) => lineageReports.get(node.id))
+  );
+}
+
+/**
+ * Wire the sidebar's save form. Saving happens in the background service
+ * worker, which generates code and writes to the library.
+ * @param {Object} component - The extracted (sanitized) component
+ */
+function wireSaveForm(component) {
+  const form = sidebarEl.querySelector("#cre-save-form");
+  const nameInput = sidebarEl.querySelector("#cre-save-name");
+  const tagsInput = sidebarEl.querySelector("#cre-save-tags");
+  const variantSelect = sidebarEl.querySelector("#cre-save-variant");
+  const frameworkSelect = sidebarEl.querySelector("#cre-save-framework");
+  const saveBtn = sidebarEl.querySelector("#cre-save-btn");
+  const statusEl = sidebarEl.querySelector("#cre-save-status");
+
+  frameworkSelect.value = defaultFramework;
+
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const name = nameInput.value.trim();
+    if (!name) {
+      statusEl.textContent = "Enter a name for the component.";
+      statusEl.style.color = "#ef4444";
+      return;
+    }
+
+    statusEl.textContent = "Saving…";
+    statusEl.style.color = "#9ca3af";
+    saveBtn.disabled = true;
+
     chrome.runtime.sendMessage(
       {
-        type: "AI_REMIX",
+        type: "CRE_SAVE_COMPONENT",
         payload: {
-          html: component.html,
-          css: component.css,
-          prompt,
+          name,
+          tags: tagsInput.value
+            .split(",")
+            .map((tag) => tag.trim())
+            .filter(Boolean),
+          framework: frameworkSelect.value,
+          nodeId: variantSelect.value || null,
+          original: component,
+          variants: sidebarVariants.map(
+            ({ html, css, description, parameters }) => ({
+              html,
+              css,
+              description,
+              parameters,
+            })
+          ),
+          lineage: sidebarLineage,
         },
       },
       (response) => {
-        remixBtn.disabled = false;
-
-        // Handle Chrome extension messaging errors
-        if (chrome.runtime.lastError) {
-          console.error("CRE: Message error:", chrome.runtime.lastError);
-          statusEl.textContent = "Failed to communicate with extension. Please reload the page.";
-          statusEl.style.color = "#ef4444";
-          return;
-        }
+        saveBtn.disabled = false;
 
-        if (!response || !response.ok) {
-          console.error("CRE: AI remix failed:", response?.error);
+        if (chrome.runtime.lastError || !response?.ok) {
+          console.error(
+            "CRE: Save failed:",
+            chrome.runtime.lastError || response?.error
+          );
           statusEl.textContent =
-            response?.error ||
-            "AI remix failed. You can manually edit the HTML/CSS when generating code.";
+            response?.error || "Failed to save component. Please try again.";
           statusEl.style.color = "#ef4444";
           return;
         }
 
-        // Success - display variants
-        const variants = response.variants || [];
-        if (variants.length === 0) {
-          statusEl.textContent = "No variants returned. Try a different prompt.";
-          statusEl.style.color = "#f59e0b"; // Orange for warning
-          return;
-        }
-
-        statusEl.textContent = `Generated ${variants.length} variant${variants.length > 1 ? "s" : ""}.`;
-        statusEl.style.color = "#10b981"; // Green for success
-        renderVariants(variants);
-
-        // Notify popup about latest extracted/remixed component for library usage
-        chrome.runtime.sendMessage(
-          {
-            type: "CRE_LATEST_COMPONENT",
-            payload: {
-              original: component,
-              variants: variants,
-            },
-          },
-          () => {
-            // Ignore errors from popup notification (popup may be closed)
-            if (chrome.runtime.lastError) {
-              console.warn("CRE: Could not notify popup:", chrome.runtime.lastError);
-            }
-          }
-        );
+        statusEl.textContent = `Saved "${response.component.name}" to the library.`;
+        statusEl.style.color = "#10b981";
       }
     );
   });
 }
 
-function renderVariants(variants) {
+// List "Original", the version being refined and its variants in the save form
+function updateSaveVariantOptions() {
+  const select = sidebarEl?.querySelector("#cre-save-variant");
+  if (!select) return;
+
+  const previous = select.value;
+  select.replaceChildren(new Option("Original", ""));
+  const current = getLineageNode(lineageNodeId);
+  if (current) {
+    select.appendChild(
+      new Option(`Current: ${describeLineageNode(current)}`, current.id)
+    );
+  }
+  sidebarVariants.forEach((node, idx) => {
+    select.appendChild(new Option(`Variant ${idx + 1}`, node.id));
+  });
+  select.value = Array.from(select.options).some((opt) => opt.value === previous)
+    ? previous
+    : "";
+}
+
+// Show warnings collected during extraction (unreadable stylesheets, sanitized markup)
+function renderExtractionReport(report) {
+  if (!sidebarEl) return;
+  const reportEl = sidebarEl.querySelector("#cre-extraction-report");
+  if (!reportEl) return;
+
+  const messages = [];
+  const unreadable = report?.unreadableSheets || [];
+  if (unreadable.length) {
+    messages.push(
+      `${unreadable.length} stylesheet${unreadable.length > 1 ? "s" : ""} could not be read (cross-origin); computed styles were used instead: ${unreadable.join(", ")}`
+    );
+  }
+  const sanitizedSummary = domUtils.summarizeSanitizeReport(report?.sanitized);
+  if (sanitizedSummary) {
+    messages.push(`Unsafe markup stripped. ${sanitizedSummary}.`);
+  }
+  const withoutPermission = report?.assetsWithoutPermission || [];
+  if (withoutPermission.length) {
+    messages.push(
+      `${withoutPermission.length} asset${withoutPermission.length > 1 ? "s were" : " was"} not inlined because CRE is not allowed to read other sites; save the settings in the popup again and allow access to inline them: ${withoutPermission.join(", ")}`
+    );
+  }
+  if (!messages.length) return;
+
+  reportEl.textContent = messages.join(" ");
+  reportEl.style.display = "block";
+}
+
+/**
+ * Show the variants of the current lineage node in the sidebar.
+ * @param {Array<Object>} variants - Sanitized variants (lineage nodes)
+ * @param {Object} component - The component the sidebar was opened with
+ * @param {Array<Object>} [sanitizeReports] - What was stripped from each variant's markup
+ */
+function renderVariants(variants, component, sanitizeReports = []) {
   if (!sidebarEl) return;
   const container = sidebarEl.querySelector("#cre-variants-container");
   container.innerHTML = "";
 
   if (!variants || !variants.length) {
+    if (!lineageNodeId) return;
     const empty = document.createElement("div");
-    empty.textContent = "No variants returned by AI.";
+    empty.textContent = "No refinements of this variant yet.";
+    empty.style.color = "#6b7280";
     container.appendChild(empty);
     return;
   }
 
   variants.forEach((variant, idx) => {
-    const card = document.createElement("div");
-    card.style.border = "1px solid #1f2937";
-    card.style.borderRadius = "6px";
-    card.style.padding = "6px 8px";
-    card.style.background = "#020617";
-
-    const label = document.createElement("div");
-    label.textContent = `Variant ${idx + 1}`;
-    label.style.fontWeight = "500";
-    label.style.marginBottom = "4px";
-    card.appendChild(label);
-
-    if (variant.description) {
-      const desc = document.createElement("div");
-      desc.textContent = variant.description;
-      desc.style.fontSize = "11px";
-      desc.style.color = "#9ca3af";
-      desc.style.marginBottom = "4px";
-      card.appendChild(desc);
-    }
-
-    const preview = document.createElement("div");
-    preview.style.border = "1px solid #111827";
-    preview.style.borderRadius = "4px";
-    preview.style.padding = "4px";
-    preview.style.maxHeight = "120px";
-    preview.style.overflow = "auto";
-    preview.innerHTML = variant.html || "";
-
-    const styleEl = document.createElement("style");
-    styleEl.textContent = variant.css || "";
-    preview.appendChild(styleEl);
-
-    card.appendChild(preview);
-    container.appendChild(card);
+    appendVariantCard(variant, idx, component, sanitizeReports[idx]);
+  });
+}
+
+/**
+ * Add one variant card to the sidebar.
+ * @param {Object} variant - Sanitized variant
+ * @param {number} idx - Variant index
+ * @param {Object} component - The component the sidebar was opened with; its
+ *   custom properties style the preview and its lineage is the one navigated
+ * @param {Object} [sanitizeReport] - What was stripped from the variant's markup
+ */
+function appendVariantCard(variant, idx, component, sanitizeReport) {
+  if (!sidebarEl) return;
+  const container = sidebarEl.querySelector("#cre-variants-container");
+
+  const card = document.createElement("div");
+  card.style.border = "1px solid #1f2937";
+  card.style.borderRadius = "6px";
+  card.style.padding = "6px 8px";
+  card.style.background = "#020617";
+
+  const label = document.createElement("div");
+  label.textContent = `Variant ${idx + 1}`;
+  if (variant.parameters) {
+    const { model, temperature, maxTokens } = variant.parameters;
+    label.title = `${model}, temperature ${temperature}, up to ${maxTokens} tokens`;
+  }
+  label.style.fontWeight = "500";
+  label.style.marginBottom = "4px";
+  card.appendChild(label);
+
+  if (variant.description) {
+    const desc = document.createElement("div");
+    desc.textContent = variant.description;
+    desc.style.fontSize = "11px";
+    desc.style.color = "#9ca3af";
+    desc.style.marginBottom = "4px";
+    card.appendChild(desc);
+  }
+
+  const validation = variant.id ? lineageChecks.get(variant.id) : null;
+  if (validation) {
+    card.appendChild(renderValidationChecks(validation));
+  }
+
+  if (variant.id && designSystemUtils?.hasDesignTokens(designSystem)) {
+    card.appendChild(renderTokenCompliance(variant, component, validation?.repairing));
+  }
+
+  const sanitizedSummary = domUtils.summarizeSanitizeReport(sanitizeReport);
+  if (sanitizedSummary) {
+    const note = document.createElement("div");
+    note.textContent = `Unsafe markup stripped. ${sanitizedSummary}.`;
+    note.style.fontSize = "11px";
+    note.style.color = "#f59e0b";
+    note.style.marginBottom = "4px";
+    card.appendChild(note);
+  }
+
+  // Each variant gets its own shadow root so its CSS can't restyle the others
+  const preview = document.createElement("div");
+  preview.style.border = "1px solid #111827";
+  preview.style.borderRadius = "4px";
+  preview.style.padding = "4px";
+  preview.style.maxHeight = "120px";
+  preview.style.overflow = "auto";
+  preview.style.background = "#ffffff";
+  domUtils.renderIsolatedPreview(preview, {
+    html: variant.html,
+    css: variant.css,
+    tokens: component.tokens,
+  });
+
+  card.appendChild(preview);
+
+  // Lineage nodes can be refined further
+  if (variant.id) {
+    const refineBtn = document.createElement("button");
+    refineBtn.type = "button";
+    refineBtn.textContent = "Refine this variant";
+    refineBtn.style.marginTop = "6px";
+    refineBtn.style.padding = "4px 8px";
+    refineBtn.style.borderRadius = "4px";
+    refineBtn.style.border = "1px solid #374151";
+    refineBtn.style.background = "#111827";
+    refineBtn.style.color = "#e5e7eb";
+    refineBtn.style.fontSize = "11px";
+    refineBtn.style.cursor = "pointer";
+    refineBtn.addEventListener("click", () => {
+      showLineageNode(variant.id, component);
+      const promptInput = sidebarEl.querySelector("#cre-prompt");
+      promptInput.value = "";
+      renderPresetVariables();
+      promptInput.focus();
+      sidebarEl.querySelector("#cre-remix-status").textContent = "";
+    });
+    card.appendChild(refineBtn);
+  }
+
+  container.appendChild(card);
+}
+
+/**
+ * Show which validation checks a variant passed, with the errors of failed
+ * checks as tooltips, and how its repair went.
+ * @param {{checks: Array, attempts: number, repairing: boolean}} validation - From lineageChecks
+ * @returns {HTMLElement}
+ */
+function renderValidationChecks({ checks, attempts, repairing }) {
+  const wrapper = document.createElement("div");
+  wrapper.style.display = "flex";
+  wrapper.style.flexWrap = "wrap";
+  wrapper.style.alignItems = "center";
+  wrapper.style.gap = "4px";
+  wrapper.style.marginBottom = "4px";
+  wrapper.style.fontSize = "10px";
+
+  checks.forEach((check) => {
+    const badge = document.createElement("span");
+    badge.textContent = `${check.passed ? "✓" : "✗"} ${check.label}`;
+    badge.title = check.passed ? "Passed" : check.errors.join("\n");
+    badge.style.padding = "1px 6px";
+    badge.style.borderRadius = "999px";
+    badge.style.color = check.passed ? "#10b981" : "#ef4444";
+    badge.style.border = `1px solid ${check.passed ? "#065f46" : "#7f1d1d"}`;
+    wrapper.appendChild(badge);
   });
+
+  const passed = checks.every((check) => check.passed);
+  let note = "";
+  if (repairing) {
+    note = "Repairing…";
+  } else if (attempts && passed) {
+    note = `Repaired after ${attempts} ${attempts === 1 ? "retry" : "retries"}`;
+  } else if (attempts) {
+    note = `Still failing after ${attempts} repair ${attempts === 1 ? "attempt" : "attempts"}`;
+  }
+  if (note) {
+    const noteEl = document.createElement("span");
+    noteEl.textContent = note;
+    noteEl.style.color = repairing ? "#9ca3af" : passed ? "#10b981" : "#f59e0b";
+    wrapper.appendChild(noteEl);
+  }
+
+  return wrapper;
+}
+
+/**
+ * Show whether a variant's CSS keeps to the design system from the settings,
+ * listing the values outside it as a tooltip, with a button that snaps them to
+ * the nearest tokens. Snapping edits the lineage node in place, like a repair,
+ * unless it makes a validation check fail that passed before.
+ * @param {Object} node - Lineage node of the variant
+ * @param {Object} component - The component the sidebar was opened with
+ * @param {boolean} [repairing] - A repair is on its way and will replace the CSS
+ * @returns {HTMLElement}
+ */
+function renderTokenCompliance(node, component, repairing) {
+  const wrapper = document.createElement("div");
+  wrapper.style.display = "flex";
+  wrapper.style.flexWrap = "wrap";
+  wrapper.style.alignItems = "center";
+  wrapper.style.gap = "4px";
+  wrapper.style.marginBottom = "4px";
+  wrapper.style.fontSize = "10px";
+
+  const issues = designSystemUtils.checkDesignTokens(node.css, designSystem);
+  const badge = document.createElement("span");
+  badge.textContent = issues.length
+    ? `✗ ${issues.length} value${issues.length === 1 ? "" : "s"} off the design system`
+    : "✓ Design tokens";
+  badge.title = issues.length
+    ? issues.map(designSystemUtils.describeTokenIssue).join("\n")
+    : "Every color, font, spacing and radius value is a token";
+  badge.style.padding = "1px 6px";
+  badge.style.borderRadius = "999px";
+  badge.style.color = issues.length ? "#f59e0b" : "#10b981";
+  badge.style.border = `1px solid ${issues.length ? "#78350f" : "#065f46"}`;
+  wrapper.appendChild(badge);
+
+  if (issues.length && !repairing) {
+    const snapBtn = document.createElement("button");
+    snapBtn.type = "button";
+    snapBtn.textContent = "Snap to nearest token";
+    snapBtn.style.padding = "1px 6px";
+    snapBtn.style.borderRadius = "4px";
+    snapBtn.style.border = "1px solid #374151";
+    snapBtn.style.background = "#111827";
+    snapBtn.style.color = "#e5e7eb";
+    snapBtn.style.fontSize = "10px";
+    snapBtn.style.cursor = "pointer";
+    snapBtn.addEventListener("click", async () => {
+      const { css, replaced } = designSystemUtils.snapToDesignTokens(node.css, designSystem);
+      const statusEl = sidebarEl.querySelector("#cre-remix-status");
+
+      // Snapping rewrites values, so it is refused if it makes a check fail that
+      // passed before; failures the variant already had don't block it
+      const validation = await loadValidationUtils();
+      const base = getLineageNode(node.parentId) || component;
+      const previous = validation.describeValidationErrors(
+        validation.validateVariant({ html: node.html, css: node.css }, base)
+      );
+      const checks = validation.validateVariant({ html: node.html, css }, base);
+      const introduced = validation
+        .describeValidationErrors(checks)
+        .filter((error) => !previous.includes(error));
+      if (introduced.length) {
+        statusEl.textContent = `Snapping to the design tokens would break this variant, so it was left unchanged. ${introduced.join(" ")}`;
+        statusEl.style.color = "#ef4444";
+        return;
+      }
+
+      node.css = css;
+      lineageChecks.set(node.id, {
+        checks,
+        attempts: lineageChecks.get(node.id)?.attempts || 0,
+        repairing: false,
+      });
+      showLineageNode(lineageNodeId, component);
+      const remaining = designSystemUtils.checkDesignTokens(css, designSystem).length;
+      statusEl.textContent =
+        `Snapped ${replaced} value${replaced === 1 ? "" : "s"} to the nearest design tokens.` +
+        (remaining ? ` ${remaining} value${remaining === 1 ? " is" : "s are"} still off the design system.` : "");
+      statusEl.style.color = "#9ca3af";
+    });
+    wrapper.appendChild(snapBtn);
+  }
+
+  return wrapper;
 }
 
 function removeSidebar() {
+  // Closing the port cancels a remix that is still streaming
+  remixPort?.disconnect();
+  remixPort = null;
   if (sidebarEl && sidebarEl.parentNode) {
     sidebarEl.parentNode.removeChild(sidebarEl);
   }
@@ -447,20 +3013,54 @@ function removeSidebar() {
 }
 
 /**
- * Start extraction mode: enable hover highlighting and click extraction.
- * Adds event listeners for mousemove (highlighting) and click (extraction).
+ * Start extraction mode: enable hover highlighting, keyboard navigation and click extraction.
+ * Adds event listeners for mousemove (highlighting), keydown (navigation) and click (extraction).
  */
 function startExtraction() {
   if (isExtracting) return;
   try {
     isExtracting = true;
+    loadExtractionOptions();
     ensureHoverOverlay();
-    document.addEventListener("mousemove", handleMouseMove, true);
-    document.addEventListener("click", handleClick, true);
+    // Same-origin iframes do not bubble events to the page, so listen in each
+    pickerDocuments = collectPickerDocuments();
+    pickerDocuments.forEach((doc) => {
+      doc.addEventListener("mousemove", handleMouseMove, true);
+      doc.addEventListener("click", handleClick, true);
+      doc.addEventListener("keydown", handleKeyDown, true);
+    });
   } catch (error) {
     console.error("CRE: Failed to start extraction:", error);
     isExtracting = false;
   }
+  notifyExtractionState();
+}
+
+/**
+ * Load extraction preferences saved from the popup settings.
+ * Resolves quickly enough to be applied before the user clicks an element.
+ * @returns {Promise<void>} Resolves once the options are applied
+ */
+function loadExtractionOptions() {
+  return new Promise((resolve) => {
+    if (!chrome?.storage?.sync) {
+      resolve();
+      return;
+    }
+    chrome.storage.sync.get(["creSettings"], (result) => {
+      const settings = result?.creSettings || {};
+      extractionOptions = {
+        ...extractionOptions,
+        mode: settings.extractionMode || EXTRACTION_MODES.COMPUTED,
+        responsive: Boolean(settings.responsiveExtraction),
+        inlineAssets: Boolean(settings.inlineAssets),
+      };
+      defaultFramework = settings.defaultFramework || "react";
+      remixDefaults = settings.remixDefaults || {};
+      designSystem = settings.designSystem || null;
+      resolve();
+    });
+  });
 }
 
 /**
@@ -472,15 +3072,38 @@ function stopExtraction() {
   try {
     isExtracting = false;
     removeHoverOverlay();
-    document.removeEventListener("mousemove", handleMouseMove, true);
-    document.removeEventListener("click", handleClick, true);
+    clearSelection();
+    pickerDocuments.forEach((doc) => {
+      doc.removeEventListener("mousemove", handleMouseMove, true);
+      doc.removeEventListener("click", handleClick, true);
+      doc.removeEventListener("keydown", handleKeyDown, true);
+    });
+    pickerDocuments = [];
   } catch (error) {
     console.error("CRE: Error stopping extraction:", error);
     isExtracting = false;
   }
+  notifyExtractionState();
+}
+
+// Tell an open popup whether extraction mode is on, whichever entry point changed it
+function notifyExtractionState() {
+  chrome.runtime.sendMessage(
+    { type: "CRE_EXTRACTION_STATE", payload: { isExtracting } },
+    () => void chrome.runtime.lastError // popup is usually closed
+  );
 }
 
-// Listen for messages from the popup to start/stop extraction
+// Remember the right-clicked element for the "Extract this element" context menu
+document.addEventListener(
+  "contextmenu",
+  (event) => {
+    contextMenuTarget = getEventTarget(event);
+  },
+  true
+);
+
+// Listen for messages from the popup and background (context menu, shortcut)
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message?.type === "START_EXTRACTION") {
     startExtraction();
@@ -492,4 +3115,34 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     sendResponse({ ok: true });
     return;
   }
+  if (message?.type === "TOGGLE_EXTRACTION") {
+    if (isExtracting) stopExtraction();
+    else startExtraction();
+    sendResponse({ ok: true, isExtracting });
+    return;
+  }
+  if (message?.type === "GET_EXTRACTION_STATE") {
+    sendResponse({ ok: true, isExtracting });
+    return;
+  }
+  if (message?.type === "EXTRACT_CONTEXT_TARGET") {
+    const target = contextMenuTarget;
+
+    // Injected by this very click, so the right-click itself was missed:
+    // fall back to the picker
+    if (!target) {
+      startExtraction();
+      sendResponse({ ok: true, picker: true });
+      return;
+    }
+    if (!target.isConnected || !isPickable(target)) {
+      sendResponse({ ok: false, error: "Right-click an element on the page to extract it." });
+      return;
+    }
+
+    stopExtraction();
+    loadExtractionOptions().then(() => extractAndShow(target));
+    sendResponse({ ok: true });
+    return;
+  }
 });
@@ -0,0 +1,41 @@
+// options.js - Options page for Component Remix Engine (CRE)
+// Hosts the prompt preset import. Opening a file chooser from the popup can
+// close the popup before the file is read, so the popup links here instead.
+
+import { importPresets } from "./utils/storage.js";
+import { parsePresetFile } from "./utils/presets.js";
+import { showToast } from "./utils/toast.js";
+
+document.addEventListener("DOMContentLoaded", () => {
+  wirePresetImport();
+});
+
+/**
+ * Import the presets from a shared file as soon as one is picked.
+ * The popup and the sidebar read the stored presets on their next open.
+ */
+function wirePresetImport() {
+  const fileInput = document.getElementById("cre-preset-file");
+
+  fileInput.addEventListener("change", async () => {
+    const file = fileInput.files?.[0];
+    if (!file) return;
+
+    try {
+      const { added, updated } = await importPresets(
+        parsePresetFile(await file.text())
+      );
+      showToast(
+        added || updated
+          ? `Imported presets: ${added} added, ${updated} updated.`
+          : "No new or changed presets in that file."
+      );
+    } catch (error) {
+      console.error("CRE: Failed to import presets:", error);
+      showToast(`Import failed: ${error.message}`);
+    } finally {
+      // Picking the same file again imports it again
+      fileInput.value = "";
+    }
+  });
+}
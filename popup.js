@@ -1,5 +1,6 @@
 // popup.js - UI logic for Component Remix Engine (CRE)
-// Handles settings, extraction toggle, library search & CRUD, and export.
+// Handles settings, extraction toggle, prompt presets, library search & CRUD,
+// and export.
 
 import {
   getAllComponents,
@@ -7,20 +8,54 @@ import {
   deleteComponent,
   updateComponent,
   searchComponents,
+  getAllPresets,
+  savePreset,
+  deletePreset,
 } from "./utils/storage.js";
+import {
+  parseDesignSystem,
+  formatDesignSystemFields,
+} from "./utils/design-system.js";
+import { validatePreset, serializePresets } from "./utils/presets.js";
 import { generateCodeForFramework } from "./utils/codegen.js";
 import { showToast } from "./utils/toast.js";
+import { AI_PROVIDERS, getProvider } from "./utils/providers.js";
+import { DEFAULT_TIMEOUT_MS } from "./utils/queue.js";
+import {
+  DEFAULT_REMIX_PARAMETERS,
+  REMIX_PARAMETER_LIMITS,
+} from "./utils/ai.js";
+import {
+  sanitizeHtml,
+  renderIsolatedPreview,
+  summarizeSanitizeReport,
+} from "./utils/dom.js";
 
-let latestComponentPayload = null; // { original, variants }
+let historyEntries = []; // extractions/remixes on the active tab, newest first
+let activeTabId = null;
 let allComponents = [];
 let currentSearch = "";
 let defaultFramework = "react";
+let tokenOutput = "var"; // "var" keeps custom properties, "literal" inlines their values
 let isLoading = false;
-
-// Listen for messages to keep latest extracted component in sync
-chrome.runtime.onMessage.addListener((message) => {
-  if (message?.type === "CRE_LATEST_COMPONENT") {
-    latestComponentPayload = message.payload;
+let allPresets = [];
+let editingPresetId = null; // preset loaded into the preset form, null when adding one
+const selectedLineageNodes = new Map(); // component id -> lineage node picked in its version tree
+
+// Keep the history picker and extraction button in sync with the active tab
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (
+    message?.type === "CRE_HISTORY_UPDATED" &&
+    message.payload?.tabId === activeTabId
+  ) {
+    loadHistory();
+  }
+  // Extraction can also be toggled by the shortcut, context menu or Esc
+  if (
+    message?.type === "CRE_EXTRACTION_STATE" &&
+    sender.tab?.id === activeTabId
+  ) {
+    renderExtractionToggle(Boolean(message.payload?.isExtracting));
   }
 });
 
@@ -29,34 +64,211 @@ document.addEventListener("DOMContentLoaded", async () => {
   wireExtractionToggle();
   wireSearch();
   wireSaveLatest();
-  await loadComponentsAndRender();
+  wirePresets();
+  await Promise.all([
+    loadHistory(),
+    loadComponentsAndRender(),
+    loadPresetsAndRender(),
+  ]);
 });
 
 /**
- * Wire up framework selection settings.
- * Loads saved framework preference on init and handles saving changes.
+ * Wire up framework, extraction mode, AI provider and design system settings.
+ * Loads saved preferences on init and handles saving changes.
  */
 async function wireSettings() {
   const saveBtn = document.getElementById("cre-save-settings");
   const frameworkSelect = document.getElementById("cre-framework-select");
+  const extractionModeSelect = document.getElementById(
+    "cre-extraction-mode-select"
+  );
+  const responsiveCheckbox = document.getElementById(
+    "cre-responsive-extraction"
+  );
+  const inlineAssetsCheckbox = document.getElementById("cre-inline-assets");
+  const tokenOutputSelect = document.getElementById("cre-token-output-select");
+  const providerSelect = document.getElementById("cre-ai-provider-select");
+  const baseUrlInput = document.getElementById("cre-ai-base-url");
+  const modelInput = document.getElementById("cre-ai-model");
+  const apiKeyInput = document.getElementById("cre-ai-api-key");
+  const timeoutInput = document.getElementById("cre-ai-timeout");
+  const addendumInput = document.getElementById("cre-remix-addendum");
+  // creSettings.designSystem, edited as text (see parseDesignSystem)
+  const designSystemInputs = {
+    colors: document.getElementById("cre-ds-colors"),
+    fonts: document.getElementById("cre-ds-fonts"),
+    spacing: document.getElementById("cre-ds-spacing"),
+    radii: document.getElementById("cre-ds-radii"),
+  };
+  let storedSettings = {};
+
+  timeoutInput.placeholder = String(DEFAULT_TIMEOUT_MS / 1000);
+  addendumInput.maxLength = REMIX_PARAMETER_LIMITS.systemPromptAddendumLength;
+
+  // Remix defaults (creSettings.remixDefaults); the sidebar can override them per remix
+  const remixNumberInputs = {
+    variantCount: document.getElementById("cre-remix-variants"),
+    temperature: document.getElementById("cre-remix-temperature"),
+    maxTokens: document.getElementById("cre-remix-max-tokens"),
+  };
+  Object.entries(remixNumberInputs).forEach(([name, input]) => {
+    input.min = REMIX_PARAMETER_LIMITS[name].min;
+    input.max = REMIX_PARAMETER_LIMITS[name].max;
+    input.placeholder = String(DEFAULT_REMIX_PARAMETERS[name]);
+  });
 
-  // Load stored framework setting
+  providerSelect.replaceChildren(
+    ...AI_PROVIDERS.map((provider) => new Option(provider.label, provider.id))
+  );
+
+  // Each provider keeps its own base URL and model; empty fields use the defaults
+  const showProviderSettings = () => {
+    const provider = getProvider(providerSelect.value);
+    const stored = storedSettings.aiProviderSettings?.[provider.id] || {};
+    baseUrlInput.value = stored.baseUrl || "";
+    baseUrlInput.placeholder = provider.defaultBaseUrl;
+    modelInput.value = stored.model || "";
+    modelInput.placeholder = provider.defaultModel;
+    apiKeyInput.value = "";
+    apiKeyInput.placeholder = provider.requiresApiKey
+      ? "Leave blank to keep the saved key"
+      : "Optional; leave blank to keep the saved key";
+  };
+
+  // Load stored settings
   chrome.storage.sync.get(["creSettings"], (result) => {
     const settings = result?.creSettings || {};
+    storedSettings = settings;
     if (settings.defaultFramework) {
       frameworkSelect.value = settings.defaultFramework;
       defaultFramework = settings.defaultFramework;
     }
+    if (settings.extractionMode) {
+      extractionModeSelect.value = settings.extractionMode;
+    }
+    if (settings.tokenOutput) {
+      tokenOutputSelect.value = settings.tokenOutput;
+      tokenOutput = settings.tokenOutput;
+    }
+    responsiveCheckbox.checked = Boolean(settings.responsiveExtraction);
+    inlineAssetsCheckbox.checked = Boolean(settings.inlineAssets);
+    providerSelect.value = getProvider(settings.aiProvider).id;
+    timeoutInput.value = settings.aiTimeoutSeconds || "";
+    Object.entries(remixNumberInputs).forEach(([name, input]) => {
+      input.value = settings.remixDefaults?.[name] ?? "";
+    });
+    addendumInput.value = settings.remixDefaults?.systemPromptAddendum || "";
+    const designSystemFields = formatDesignSystemFields(settings.designSystem);
+    Object.entries(designSystemInputs).forEach(([name, input]) => {
+      input.value = designSystemFields[name];
+    });
+    showProviderSettings();
   });
 
-  saveBtn.addEventListener("click", () => {
+  providerSelect.addEventListener("change", showProviderSettings);
+
+  saveBtn.addEventListener("click", async () => {
     const framework = frameworkSelect.value;
+    const extractionMode = extractionModeSelect.value;
+
+    const provider = getProvider(providerSelect.value);
+    const baseUrl = baseUrlInput.value.trim();
+    let aiOrigin;
+    try {
+      aiOrigin = new URL(baseUrl || provider.defaultBaseUrl).origin;
+    } catch {
+      showToast("Enter a valid base URL, e.g. http://localhost:11434.");
+      return;
+    }
+
+    // Empty uses the default; each attempt of an AI request gets this long
+    const timeoutSeconds = timeoutInput.value.trim()
+      ? Number(timeoutInput.value)
+      : null;
+    if (timeoutSeconds !== null && !(timeoutSeconds >= 10 && timeoutSeconds <= 600)) {
+      showToast("Enter an AI timeout between 10 and 600 seconds.");
+      return;
+    }
+
+    // Empty fields are left out, so the built-in defaults apply
+    const remixDefaults = {};
+    for (const [name, input] of Object.entries(remixNumberInputs)) {
+      if (!input.value.trim()) continue;
+      const value = Number(input.value);
+      const { min, max } = REMIX_PARAMETER_LIMITS[name];
+      if (!(value >= min && value <= max)) {
+        const label = document.querySelector(`label[for="${input.id}"]`).textContent;
+        showToast(`${label} must be between ${min} and ${max}.`);
+        return;
+      }
+      remixDefaults[name] = value;
+    }
+    const addendum = addendumInput.value.trim();
+    if (addendum) remixDefaults.systemPromptAddendum = addendum;
+
+    let designSystem;
+    try {
+      designSystem = parseDesignSystem(
+        Object.fromEntries(
+          Object.entries(designSystemInputs).map(([name, input]) => [name, input.value])
+        )
+      );
+    } catch (error) {
+      showToast(error.message);
+      return;
+    }
+
+    // Inlining fetches assets from other sites and a custom AI endpoint may be
+    // on any host; both need optional host permissions, requested while we
+    // still have the click's user gesture
+    const origins = [`${aiOrigin}/*`];
+    if (inlineAssetsCheckbox.checked) origins.push("<all_urls>");
+    const hostAccessDenied =
+      !(await chrome.permissions.contains({ origins })) &&
+      !(await chrome.permissions.request({ origins }));
+    const assetAccessDenied =
+      hostAccessDenied &&
+      inlineAssetsCheckbox.checked &&
+      !(await chrome.permissions.contains({ origins: ["<all_urls>"] }));
+    const aiAccessDenied =
+      hostAccessDenied &&
+      !(await chrome.permissions.contains({ origins: [`${aiOrigin}/*`] }));
+
+    // Keys stay in the background's local storage, never in synced settings
+    const apiKey = apiKeyInput.value.trim();
+    if (apiKey) {
+      const response = await chrome.runtime.sendMessage({
+        type: "SET_API_KEY",
+        payload: { provider: provider.id, key: apiKey },
+      });
+      if (!response?.ok) {
+        showToast(response?.error || "Failed to save API key.");
+        return;
+      }
+      apiKeyInput.value = "";
+    }
+
+    // Merge so settings owned by other parts of the extension survive
+    storedSettings = {
+      ...storedSettings,
+      defaultFramework: framework,
+      extractionMode,
+      tokenOutput: tokenOutputSelect.value,
+      responsiveExtraction: responsiveCheckbox.checked,
+      inlineAssets: inlineAssetsCheckbox.checked,
+      aiProvider: provider.id,
+      aiTimeoutSeconds: timeoutSeconds,
+      remixDefaults,
+      designSystem,
+      aiProviderSettings: {
+        ...storedSettings.aiProviderSettings,
+        [provider.id]: { baseUrl, model: modelInput.value.trim() },
+      },
+    };
 
     chrome.storage.sync.set(
       {
-        creSettings: {
-          defaultFramework: framework,
-        },
+        creSettings: storedSettings,
       },
       () => {
         if (chrome.runtime.lastError) {
@@ -68,7 +280,18 @@ async function wireSettings() {
           return;
         }
         defaultFramework = framework;
-        showToast("Framework preference saved.");
+        tokenOutput = storedSettings.tokenOutput;
+        if (aiAccessDenied) {
+          showToast(
+            `Settings saved, but remixing won't work until CRE is allowed to reach ${aiOrigin}.`
+          );
+        } else if (assetAccessDenied) {
+          showToast(
+            "Settings saved. Without access to all sites, only assets served with CORS headers can be inlined."
+          );
+        } else {
+          showToast("Settings saved.");
+        }
       }
     );
   });
@@ -85,6 +308,19 @@ async function wireSettings() {
 function wireExtractionToggle() {
   const btn = document.getElementById("cre-toggle-extraction");
 
+  // Reflect the current state, which may have been set without the popup
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (!tabs[0]?.id) return;
+    chrome.tabs.sendMessage(
+      tabs[0].id,
+      { type: "GET_EXTRACTION_STATE" },
+      (response) => {
+        if (chrome.runtime.lastError) return; // Not injected yet, so not extracting
+        renderExtractionToggle(Boolean(response?.isExtracting));
+      }
+    );
+  });
+
   btn.addEventListener("click", () => {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       const tab = tabs[0];
@@ -107,27 +343,27 @@ function wireExtractionToggle() {
 
       const starting = btn.dataset.state !== "on";
 
-      chrome.tabs.sendMessage(
-        tab.id,
-        { type: starting ? "START_EXTRACTION" : "STOP_EXTRACTION" },
+      // The background injects the content script on first use
+      chrome.runtime.sendMessage(
+        {
+          type: "CRE_EXTRACTION_COMMAND",
+          payload: {
+            tabId: tab.id,
+            command: starting ? "START_EXTRACTION" : "STOP_EXTRACTION",
+          },
+        },
         (response) => {
           // Handle Chrome extension errors
           if (chrome.runtime.lastError) {
             console.error("CRE: Message error:", chrome.runtime.lastError);
-            showToast(
-              "Failed to communicate with page. Try reloading the page."
-            );
+            showToast("Failed to communicate with the extension. Please try again.");
             return;
           }
 
           if (response && response.ok) {
-            const on = starting;
-            btn.dataset.state = on ? "on" : "off";
-            btn.textContent = on ? "Stop extraction" : "Start extraction";
-            btn.classList.toggle("cre-btn-primary", !on);
-            btn.classList.toggle("cre-btn-secondary", on);
+            renderExtractionToggle(starting);
           } else {
-            showToast("Failed to toggle extraction mode.");
+            showToast(response?.error || "Failed to toggle extraction mode.");
           }
         }
       );
@@ -135,6 +371,18 @@ function wireExtractionToggle() {
   });
 }
 
+/**
+ * Update the extraction toggle button for the given state.
+ * @param {boolean} on - Whether extraction mode is active
+ */
+function renderExtractionToggle(on) {
+  const btn = document.getElementById("cre-toggle-extraction");
+  btn.dataset.state = on ? "on" : "off";
+  btn.textContent = on ? "Stop extraction" : "Start extraction";
+  btn.classList.toggle("cre-btn-primary", !on);
+  btn.classList.toggle("cre-btn-secondary", on);
+}
+
 /**
  * Wire up search functionality with debouncing.
  * Uses the searchComponents helper from storage.js for consistent search behavior.
@@ -161,13 +409,225 @@ function wireSearch() {
 }
 
 /**
- * Wire up the "Save latest component" button.
- * Saves the most recently extracted/remixed component to the library.
+ * Wire up the prompt preset form and its import/export buttons. Import
+ * opens the options page, since a file chooser can close the popup.
+ * The sidebar reads the same presets for its preset dropdown.
+ */
+function wirePresets() {
+  const form = document.getElementById("cre-preset-form");
+  const nameInput = document.getElementById("cre-preset-name");
+  const promptInput = document.getElementById("cre-preset-prompt");
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const preset = { name: nameInput.value, prompt: promptInput.value };
+    const invalid = validatePreset(preset);
+    if (invalid) {
+      showToast(invalid);
+      return;
+    }
+
+    const name = preset.name.trim();
+    const duplicate = allPresets.some(
+      (p) =>
+        p.id !== editingPresetId && p.name.toLowerCase() === name.toLowerCase()
+    );
+    if (duplicate) {
+      showToast(`A preset named "${name}" already exists.`);
+      return;
+    }
+
+    try {
+      await savePreset({
+        id: editingPresetId,
+        name,
+        prompt: preset.prompt.trim(),
+      });
+      showToast(editingPresetId ? "Preset updated." : `"${name}" added.`);
+      resetPresetForm();
+      await loadPresetsAndRender();
+    } catch (error) {
+      console.error("CRE: Failed to save preset:", error);
+      showToast(`Failed to save preset: ${error.message}`);
+    }
+  });
+
+  document
+    .getElementById("cre-preset-cancel")
+    .addEventListener("click", resetPresetForm);
+
+  document.getElementById("cre-preset-import").addEventListener("click", () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  document.getElementById("cre-preset-export").addEventListener("click", () => {
+    if (!allPresets.length) {
+      showToast("No presets to export yet.");
+      return;
+    }
+
+    const blob = new Blob([serializePresets(allPresets)], {
+      type: "application/json;charset=utf-8",
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "cre-presets.json";
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    showToast(
+      `Exported ${allPresets.length} preset${allPresets.length === 1 ? "" : "s"}.`
+    );
+  });
+}
+
+/**
+ * Load the prompt presets from storage and render their list.
+ * @returns {Promise<void>}
+ */
+async function loadPresetsAndRender() {
+  try {
+    allPresets = await getAllPresets();
+  } catch (error) {
+    console.error("CRE: Failed to load presets:", error);
+    allPresets = [];
+  }
+  renderPresets();
+}
+
+function renderPresets() {
+  const list = document.getElementById("cre-preset-list");
+  list.innerHTML = "";
+
+  allPresets.forEach((preset) => {
+    const item = document.createElement("div");
+    item.className = "cre-preset-item";
+
+    const nameEl = document.createElement("span");
+    nameEl.className = "cre-preset-name";
+    nameEl.textContent = preset.name;
+    nameEl.title = preset.prompt;
+
+    const editBtn = document.createElement("button");
+    editBtn.className = "cre-btn cre-btn-secondary";
+    editBtn.textContent = "Edit";
+    editBtn.addEventListener("click", () => {
+      editingPresetId = preset.id;
+      document.getElementById("cre-preset-name").value = preset.name;
+      document.getElementById("cre-preset-prompt").value = preset.prompt;
+      document.getElementById("cre-preset-save").textContent = "Update preset";
+      document.getElementById("cre-preset-cancel").hidden = false;
+      document.getElementById("cre-preset-name").focus();
+    });
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "cre-btn cre-btn-secondary";
+    deleteBtn.textContent = "Delete";
+    deleteBtn.style.color = "#dc2626"; // Red for delete action
+    deleteBtn.addEventListener("click", async () => {
+      if (!confirm(`Delete the preset "${preset.name}"?`)) return;
+
+      try {
+        await deletePreset(preset.id);
+        if (editingPresetId === preset.id) resetPresetForm();
+        await loadPresetsAndRender();
+        showToast(`"${preset.name}" deleted.`);
+      } catch (error) {
+        console.error("CRE: Failed to delete preset:", error);
+        showToast("Failed to delete preset. Please try again.");
+      }
+    });
+
+    item.appendChild(nameEl);
+    item.appendChild(editBtn);
+    item.appendChild(deleteBtn);
+    list.appendChild(item);
+  });
+}
+
+// Clear the preset form back to adding a new preset
+function resetPresetForm() {
+  editingPresetId = null;
+  document.getElementById("cre-preset-form").reset();
+  document.getElementById("cre-preset-save").textContent = "Add preset";
+  document.getElementById("cre-preset-cancel").hidden = true;
+}
+
+/**
+ * Load the active tab's extraction/remix history from the background and
+ * fill the history picker (newest entry selected).
+ * @returns {Promise<void>}
+ */
+async function loadHistory() {
+  const select = document.getElementById("cre-history-select");
+
+  if (activeTabId === null) {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    activeTabId = tab?.id ?? null;
+  }
+
+  const response = await new Promise((resolve) => {
+    chrome.runtime.sendMessage(
+      { type: "CRE_GET_HISTORY", payload: { tabId: activeTabId } },
+      (reply) => resolve(chrome.runtime.lastError ? null : reply)
+    );
+  });
+  historyEntries = response?.ok ? response.entries : [];
+
+  const previous = select.value;
+  select.innerHTML = "";
+  if (!historyEntries.length) {
+    const option = document.createElement("option");
+    option.value = "";
+    option.textContent = "No extractions on this tab yet";
+    select.appendChild(option);
+    select.disabled = true;
+    return;
+  }
+
+  select.disabled = false;
+  historyEntries.forEach((entry) => {
+    const option = document.createElement("option");
+    option.value = entry.id;
+    option.textContent = describeHistoryEntry(entry);
+    select.appendChild(option);
+  });
+  if (historyEntries.some((entry) => entry.id === previous)) {
+    select.value = previous;
+  }
+}
+
+/**
+ * Label for a history entry, e.g. 'Remix "dark mode" (3 variants) · div.card · 14:02'.
+ * @param {Object} entry - History entry from the background
+ * @returns {string}
+ */
+function describeHistoryEntry(entry) {
+  const time = new Date(entry.createdAt).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+  const prompt =
+    entry.prompt.length > 24 ? `${entry.prompt.slice(0, 24)}…` : entry.prompt;
+  const kind =
+    entry.kind === "remix"
+      ? `Remix "${prompt}" (${entry.variants.length} variant${entry.variants.length === 1 ? "" : "s"})`
+      : "Extraction";
+  return [kind, entry.label, time].filter(Boolean).join(" · ");
+}
+
+/**
+ * Wire up the history picker's "Save" button.
+ * Saves the selected extraction/remix from the active tab's history to the library.
  */
 function wireSaveLatest() {
   const btn = document.getElementById("cre-save-latest");
+  const select = document.getElementById("cre-history-select");
   btn.addEventListener("click", async () => {
-    if (!latestComponentPayload || !latestComponentPayload.original) {
+    const entry = historyEntries.find((item) => item.id === select.value);
+    if (!entry || !entry.original) {
       showToast(
         "No extracted component available yet. Extract an element first."
       );
@@ -197,8 +657,19 @@ function wireSaveLatest() {
       isLoading = true;
       btn.disabled = true;
 
-      const base = latestComponentPayload.original;
-      const variants = latestComponentPayload.variants || [];
+      // Everything saved to the library goes through the sanitizer
+      const sanitizedBase = sanitizeHtml(entry.original.html);
+      const base = {
+        ...entry.original,
+        html: sanitizedBase.html,
+      };
+      const variants = (entry.variants || []).map(
+        (variant) => ({ ...variant, html: sanitizeHtml(variant.html).html })
+      );
+      const lineage = (entry.lineage || []).map(
+        (node) => ({ ...node, html: sanitizeHtml(node.html).html })
+      );
+      const sanitizedSummary = summarizeSanitizeReport(sanitizedBase.report);
 
       // Pick first variant when available, else original
       const preferredVariant = variants[0] || {
@@ -212,7 +683,12 @@ function wireSaveLatest() {
         code = generateCodeForFramework(
           framework,
           preferredVariant,
-          name.trim()
+          name.trim(),
+          {
+            externalAssets: base.assets?.external,
+            tokens: base.tokens,
+            tokenMode: tokenOutput,
+          }
         );
       } catch (error) {
         console.error("CRE: Code generation failed:", error);
@@ -227,17 +703,23 @@ function wireSaveLatest() {
         tags,
         originalHTML: base.html,
         originalCSS: base.css,
+        breakpoints: base.breakpoints,
+        viewportWidth: base.viewportWidth,
+        assets: base.assets,
+        tokens: base.tokens,
         remixedVariants: variants,
+        lineage,
         generatedCode: code,
         framework,
       });
 
       allComponents.push(saved);
       renderLibrary();
-      showToast(`Component "${saved.name}" saved to library.`);
-
-      // Clear latest payload after saving (optional - comment out if you want to keep it)
-      // latestComponentPayload = null;
+      showToast(
+        sanitizedSummary
+          ? `Component "${saved.name}" saved to library. ${sanitizedSummary} from its markup.`
+          : `Component "${saved.name}" saved to library.`
+      );
     } catch (error) {
       console.error("CRE: Failed to save component:", error);
       showToast("Failed to save component. Please try again.");
@@ -331,13 +813,15 @@ function renderLibraryWithComponents(components) {
       meta.textContent = `Saved ${createdDate.toLocaleString()}`;
     }
 
+    // Rendered in a shadow root so card CSS and component CSS stay apart
     const preview = document.createElement("div");
     preview.className = "cre-card-preview";
-    preview.innerHTML = comp.originalHTML || "";
-
-    const styleEl = document.createElement("style");
-    styleEl.textContent = comp.originalCSS || "";
-    preview.appendChild(styleEl);
+    const selectedNode = getLineageNode(comp, selectedLineageNodes.get(comp.id));
+    renderIsolatedPreview(preview, {
+      html: selectedNode ? selectedNode.html : comp.originalHTML,
+      css: selectedNode ? selectedNode.css : comp.originalCSS,
+      tokens: comp.tokens,
+    });
 
     const actions = document.createElement("div");
     actions.className = "cre-card-actions";
@@ -378,17 +862,105 @@ function renderLibraryWithComponents(components) {
     actions.appendChild(exportBtn);
     actions.appendChild(deleteBtn);
 
+    // Every remix and refinement, browsable as a tree
+    let lineagePanel = null;
+    if (comp.lineage?.length) {
+      lineagePanel = renderLineageTree(comp);
+      lineagePanel.hidden = !selectedLineageNodes.has(comp.id);
+
+      const versionsBtn = document.createElement("button");
+      versionsBtn.className = "cre-btn cre-btn-secondary";
+      versionsBtn.textContent = `Versions (${comp.lineage.length + 1})`;
+      versionsBtn.addEventListener("click", () => {
+        lineagePanel.hidden = !lineagePanel.hidden;
+      });
+      actions.insertBefore(versionsBtn, deleteBtn);
+    }
+
     card.appendChild(header);
     if (tagsRow.childNodes.length) {
       card.appendChild(tagsRow);
     }
     card.appendChild(meta);
     card.appendChild(preview);
+    if (lineagePanel) {
+      card.appendChild(lineagePanel);
+    }
     card.appendChild(actions);
     grid.appendChild(card);
   });
 }
 
+function getLineageNode(comp, id) {
+  return (comp.lineage || []).find((node) => node.id === id) || null;
+}
+
+// Variants produced by remixing a version (null for the original), oldest first
+function getLineageChildren(comp, parentId) {
+  return (comp.lineage || []).filter((node) => node.parentId === parentId);
+}
+
+/**
+ * Build a component's version tree: the original, its remixes and their
+ * refinements. Picking a version previews it on the card, and Export then
+ * exports that version.
+ * @param {Object} comp - Component with a lineage
+ * @returns {HTMLElement} The tree panel
+ */
+function renderLineageTree(comp) {
+  const panel = document.createElement("div");
+  panel.className = "cre-lineage";
+  const selectedId = selectedLineageNodes.get(comp.id) || null;
+
+  const select = (id) => {
+    if (id) {
+      selectedLineageNodes.set(comp.id, id);
+    } else {
+      selectedLineageNodes.delete(comp.id);
+    }
+    renderLibrary();
+  };
+
+  const buildItem = (node, label) => {
+    const item = document.createElement("li");
+    const btn = document.createElement("button");
+    btn.className = "cre-lineage-node";
+    btn.classList.toggle("is-selected", (node?.id || null) === selectedId);
+    btn.textContent = label;
+    btn.title = node ? node.description : "The extracted component";
+    if (node?.prompt) {
+      const promptEl = document.createElement("span");
+      promptEl.className = "cre-lineage-prompt";
+      promptEl.textContent = node.prompt;
+      btn.appendChild(promptEl);
+    }
+    if ((node?.id || null) === (comp.lineageNodeId || null)) {
+      const savedEl = document.createElement("span");
+      savedEl.className = "cre-lineage-saved";
+      savedEl.textContent = "saved";
+      btn.appendChild(savedEl);
+    }
+    btn.addEventListener("click", () => select(node?.id || null));
+    item.appendChild(btn);
+
+    const children = getLineageChildren(comp, node?.id || null);
+    if (children.length) {
+      const list = document.createElement("ul");
+      children.forEach((child, idx) => {
+        list.appendChild(buildItem(child, `Variant ${idx + 1}`));
+      });
+      item.appendChild(list);
+    }
+    return item;
+  };
+
+  const tree = document.createElement("ul");
+  tree.className = "cre-lineage-tree";
+  tree.appendChild(buildItem(null, "Original"));
+  panel.appendChild(tree);
+  return panel;
+}
+
 /**
  * Handle component editing - update name and tags.
  * @param {Object} comp - Component object to edit
@@ -440,8 +1012,12 @@ function handleExportComponent(comp) {
   // Determine which variant to export
   let variantToExport = { html: comp.originalHTML, css: comp.originalCSS };
 
-  // If there are remixed variants, let user choose
-  if (comp.remixedVariants && comp.remixedVariants.length > 0) {
+  const selectedNode = getLineageNode(comp, selectedLineageNodes.get(comp.id));
+  if (selectedNode) {
+    // A version picked in the version tree is exported as is
+    variantToExport = selectedNode;
+  } else if (comp.remixedVariants && comp.remixedVariants.length > 0) {
+    // If there are remixed variants, let user choose
     const variantChoices = [
       "Original",
       ...comp.remixedVariants.map(
@@ -464,22 +1040,37 @@ function handleExportComponent(comp) {
   }
 
   // Generate code for selected variant
+  const codegenOptions = {
+    externalAssets: comp.assets?.external,
+    tokens: comp.tokens,
+    tokenMode: tokenOutput,
+  };
   let code;
   try {
     code =
       comp.generatedCode ||
-      generateCodeForFramework(framework, variantToExport, comp.name);
+      generateCodeForFramework(
+        framework,
+        variantToExport,
+        comp.name,
+        codegenOptions
+      );
 
     // If we're using a variant, regenerate code for that variant
     if (
-      comp.remixedVariants &&
-      comp.remixedVariants.length > 0 &&
+      (selectedNode ||
+        (comp.remixedVariants && comp.remixedVariants.length > 0)) &&
       !(
         variantToExport.html === comp.originalHTML &&
         variantToExport.css === comp.originalCSS
       )
     ) {
-      code = generateCodeForFramework(framework, variantToExport, comp.name);
+      code = generateCodeForFramework(
+        framework,
+        variantToExport,
+        comp.name,
+        codegenOptions
+      );
     }
   } catch (error) {
     console.error("CRE: Code generation failed:", error);
@@ -1,53 +1,340 @@
-// Thin wrapper around the OpenAI Chat Completions API for remixing components.
-// Handles API key retrieval from chrome.storage.sync and makes requests to OpenAI.
+// Remixes components with the configured AI provider (see utils/providers.js).
+// Builds the remix prompt and parses the model's JSON reply into variants,
+// reporting each variant as soon as it is complete when the reply is streamed.
+// Variants that fail validation (utils/validation.js) are sent back for repair.
 
-const DEFAULT_DUMMY_KEY = "sk-dummykey1234567890";
+/**
+ * Describe the component's CSS custom properties for the user prompt so the
+ * model keeps var() references instead of hard-coding their values.
+ * @param {Object<string, string>} tokens - Custom property name -> resolved value
+ * @returns {string[]} Prompt lines (empty when there are no tokens)
+ */
+function formatTokensForPrompt(tokens) {
+  const entries = Object.entries(tokens || {});
+  if (!entries.length) return [];
+
+  return [
+    "CSS custom properties (design tokens) used by the component:",
+    ...entries.map(([name, value]) => `${name}: ${value}`),
+    "Keep using var() for these values; change a token's usage rather than replacing it with a literal.",
+    "",
+  ];
+}
+
+/**
+ * Describe the team's design system for the user prompt, so the model picks
+ * colors, fonts, spacing and radii from it instead of inventing values.
+ * @param {import("./design-system.js").DesignSystem|null} designSystem - creSettings.designSystem
+ * @returns {string[]} Prompt lines (empty when no design system is set)
+ */
+function formatDesignSystemForPrompt(designSystem) {
+  const { colors = [], fonts = [], spacing = [], radii = [] } = designSystem || {};
+  if (!colors.length && !fonts.length && !spacing.length && !radii.length) {
+    return [];
+  }
+
+  const token = ({ name, value }) => (name === value ? value : `${name}: ${value}`);
+  return [
+    "=== DESIGN SYSTEM ===",
+    "Every value of these kinds in your CSS must come from this design system:",
+    ...(colors.length ? ["Colors:", ...colors.map((c) => `- ${token(c)}`)] : []),
+    ...(fonts.length ? ["Font stacks (font-family):", ...fonts.map((f) => `- ${token(f)}`)] : []),
+    ...(spacing.length
+      ? [`Spacing scale for margin, padding and gap: ${spacing.map((n) => `${n}px`).join(", ")}`]
+      : []),
+    ...(radii.length
+      ? [`Border radius scale: ${radii.map((n) => `${n}px`).join(", ")}`]
+      : []),
+    "Replace any other value of these kinds, including ones from the component, with the nearest token. Colors may be made translucent with rgba().",
+    "",
+  ];
+}
+
+/**
+ * @typedef {Object} RemixParameters
+ * @property {number} variantCount - Variants requested from (and kept from) the model
+ * @property {string} model - Model override; "" uses the provider's configured model
+ * @property {number} temperature - Sampling temperature
+ * @property {number} maxTokens - Response size limit
+ * @property {string} systemPromptAddendum - Extra instructions appended to the system prompt
+ */
+
+// Used where neither the sidebar nor the popup settings give a value
+export const DEFAULT_REMIX_PARAMETERS = {
+  variantCount: 3,
+  model: "",
+  temperature: 0.7,
+  maxTokens: 4096,
+  systemPromptAddendum: "",
+};
+
+// Out-of-range values are clamped to these
+export const REMIX_PARAMETER_LIMITS = {
+  variantCount: { min: 1, max: 6 },
+  temperature: { min: 0, max: 2 },
+  maxTokens: { min: 256, max: 32000 },
+  systemPromptAddendumLength: 2000,
+};
+
+/**
+ * Fill in and clamp remix parameters from the sidebar or the popup settings.
+ * Missing or unreadable values fall back to the defaults.
+ * @param {Object} [parameters] - Partial parameters
+ * @param {RemixParameters} [defaults] - Values for anything missing
+ * @returns {RemixParameters}
+ */
+export function normalizeRemixParameters(
+  parameters = {},
+  defaults = DEFAULT_REMIX_PARAMETERS
+) {
+  const number = (name, round) => {
+    const raw = parameters?.[name];
+    const value = raw === "" || raw === null ? NaN : Number(raw);
+    if (!Number.isFinite(value)) return defaults[name];
+    const { min, max } = REMIX_PARAMETER_LIMITS[name];
+    const clamped = Math.min(Math.max(value, min), max);
+    return round ? Math.round(clamped) : clamped;
+  };
+
+  return {
+    variantCount: number("variantCount", true),
+    model: String(parameters?.model ?? defaults.model ?? "").trim(),
+    temperature: number("temperature", false),
+    maxTokens: number("maxTokens", true),
+    systemPromptAddendum: String(
+      parameters?.systemPromptAddendum ?? defaults.systemPromptAddendum ?? ""
+    )
+      .trim()
+      .slice(0, REMIX_PARAMETER_LIMITS.systemPromptAddendumLength),
+  };
+}
+
+/**
+ * Append the user's extra instructions to a system prompt.
+ * @param {string} systemPrompt - Built-in system prompt
+ * @param {string} addendum - RemixParameters.systemPromptAddendum
+ * @returns {string}
+ */
+function withAddendum(systemPrompt, addendum) {
+  return addendum
+    ? `${systemPrompt}\n\nAdditional instructions from the user:\n${addendum}`
+    : systemPrompt;
+}
+
+// Shared by the remix and repair system prompts
+const VARIANT_RULES = `Rules:
+- Preserve the component's structure and functionality
+- Only modify what the user requested
+- Ensure HTML and CSS are valid and properly formatted
+- Keep descriptions concise (1 sentence max)
+- Keep the @keyframes rules for any animation the variant still uses`;
 
 /**
- * Retrieve OpenAI API key from chrome.storage.sync or return dummy key.
- * Falls back to dummy key if storage is unavailable or no key is set.
- * @returns {Promise<string>} API key string
+ * Describe earlier requests when refining a variant, so the model keeps their
+ * effects instead of reverting to the original component.
+ * @param {string[]} history - Prompts that produced the component, oldest first
+ * @returns {string[]} Prompt lines (empty for a first remix)
  */
-async function getApiKey() {
-  return new Promise((resolve) => {
-    if (!chrome?.storage?.sync) {
-      resolve(DEFAULT_DUMMY_KEY);
-      return;
+function formatHistoryForPrompt(history) {
+  if (!history.length) return [];
+
+  return [
+    "=== EARLIER REQUESTS ===",
+    "The component above is the result of these earlier remix requests, oldest first:",
+    ...history.map((request, idx) => `${idx + 1}. ${request}`),
+    "Keep their effects unless the new request changes them.",
+    "",
+  ];
+}
+
+/**
+ * Normalize one variant from the model's reply.
+ * @param {Object} v - Variant as parsed from the reply
+ * @param {number} idx - Position, for the fallback description
+ * @returns {{html: string, css: string, description: string}}
+ */
+function normalizeVariant(v, idx) {
+  return {
+    html: String(v?.html || "").trim(),
+    css: String(v?.css || "").trim(),
+    description: String(v?.description || `Variant ${idx + 1}`).trim(),
+  };
+}
+
+/**
+ * Create a scanner that picks complete variant objects out of a streamed
+ * reply. It finds the "variants" array, then tracks brace depth (skipping
+ * string contents) and parses each top-level object as soon as it closes.
+ * @returns {(chunk: string) => Object[]} Takes the next piece of the reply and
+ *   returns the variant objects completed by it
+ */
+function createVariantScanner() {
+  let text = "";
+  let pos = -1; // next character to scan; -1 until the array is found
+  let depth = 0;
+  let objectStart = -1;
+  let inString = false;
+  let escaped = false;
+  let finished = false;
+
+  return (chunk) => {
+    text += chunk;
+    const completed = [];
+    if (finished) return completed;
+
+    if (pos < 0) {
+      const start = text.match(/"variants"\s*:\s*\[/);
+      if (!start) return completed;
+      pos = start.index + start[0].length;
     }
-    chrome.storage.sync.get(["creSettings"], (result) => {
-      const stored = result?.creSettings;
-      if (stored && stored.openaiApiKey && stored.openaiApiKey.trim()) {
-        resolve(stored.openaiApiKey.trim());
+
+    for (; pos < text.length; pos++) {
+      const ch = text[pos];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+      } else if (ch === "{") {
+        if (depth === 0) objectStart = pos;
+        depth++;
+      } else if (ch === "}") {
+        depth--;
+        if (depth === 0 && objectStart >= 0) {
+          try {
+            completed.push(JSON.parse(text.slice(objectStart, pos + 1)));
+          } catch {
+            // Malformed object; the full reply is parsed again at the end
+          }
+          objectStart = -1;
+        }
+      } else if (ch === "]" && depth === 0) {
+        finished = true;
+        break;
+      }
+    }
+    return completed;
+  };
+}
+
+/**
+ * Parse the model's reply into normalized variants.
+ * @param {string} content - Reply text, possibly wrapped in code fences or prose
+ * @param {string} label - Provider label for error messages
+ * @param {number} limit - Variants to keep
+ * @returns {Array<{html: string, css: string, description: string}>} Non-empty variants
+ * @throws {Error} If the reply has no usable variants
+ */
+function parseVariantsReply(content, label, limit) {
+  if (!content) {
+    throw new Error(
+      `${label} response missing content. The API may have returned an empty response.`
+    );
+  }
+
+  // Parse JSON response, handling code fences if present
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (err) {
+    // Try to extract JSON from markdown code fences
+    const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (jsonMatch) {
+      parsed = JSON.parse(jsonMatch[1].trim());
+    } else {
+      // Try to find JSON object in the response
+      const jsonObjectMatch = content.match(/\{[\s\S]*\}/);
+      if (jsonObjectMatch) {
+        parsed = JSON.parse(jsonObjectMatch[0]);
       } else {
-        resolve(DEFAULT_DUMMY_KEY);
+        throw new Error(
+          `Failed to parse AI response as JSON: ${err.message}`
+        );
       }
-    });
-  });
+    }
+  }
+
+  // Validate response structure
+  if (!parsed || typeof parsed !== "object") {
+    throw new Error("AI response is not a valid JSON object");
+  }
+
+  if (!parsed.variants || !Array.isArray(parsed.variants)) {
+    throw new Error("AI response missing 'variants' array");
+  }
+
+  if (parsed.variants.length === 0) {
+    throw new Error("AI returned zero variants");
+  }
+
+  // Normalize and validate variants
+  const normalized = parsed.variants
+    .map(normalizeVariant)
+    .filter((v) => v.html || v.css) // Remove completely empty variants
+    .slice(0, limit);
+
+  if (normalized.length === 0) {
+    throw new Error("All AI variants were empty or invalid");
+  }
+
+  return normalized;
 }
 
 /**
- * Call OpenAI to generate three remixed variants of a component.
+ * Ask the configured AI provider for remixed variants of a component.
  * The model is instructed to return a strict JSON payload for easier parsing.
  * @param {Object} params - Parameters for remix request
  * @param {string} params.html - Original HTML of the component
  * @param {string} params.css - Original CSS of the component
+ * @param {Object<string, string>} [params.tokens] - Custom properties the CSS references, with resolved values
  * @param {string} params.prompt - User's natural language remix prompt
- * @param {string} apiKey - OpenAI API key to use for the request
+ * @param {string[]} [params.history] - Earlier prompts when refining a variant, oldest first
+ * @param {Object} [params.parameters] - RemixParameters; missing values use the defaults
+ * @param {import("./design-system.js").DesignSystem|null} [params.designSystem] - Tokens the variants must use
+ * @param {Object} connection - Provider to call and how to reach it
+ * @param {import("./providers.js").AIProvider} connection.provider - Backend implementation
+ * @param {string} connection.baseUrl - API root
+ * @param {string} connection.model - Model name, unless the parameters override it
+ * @param {string} [connection.apiKey] - API key, for providers that need one
+ * @param {Object} [options] - Streaming and cancellation
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {(variant: Object, index: number) => void} [options.onVariant] - Streams the
+ *   reply and is called with each variant as soon as its JSON object is complete
+ * @param {(progress: {received: number, variants: number}) => void} [options.onProgress] -
+ *   Called as streamed text arrives, with the characters received so far
  * @returns {Promise<Array<{html: string, css: string, description: string}>>} Array of remixed variants
  * @throws {Error} If API request fails or response is invalid
  */
-export async function callOpenAIForRemix({ html, css, prompt }, apiKey) {
+export async function callAIForRemix(
+  { html, css, tokens = {}, prompt, history = [], parameters, designSystem = null },
+  { provider, baseUrl, model, apiKey },
+  { signal, onVariant, onProgress } = {}
+) {
   if (!html && !css) {
     throw new Error("Cannot remix: both HTML and CSS are empty");
   }
 
+  const {
+    variantCount,
+    model: modelOverride,
+    temperature,
+    maxTokens,
+    systemPromptAddendum,
+  } = normalizeRemixParameters(parameters);
+  const variantsNoun = `variant${variantCount === 1 ? "" : "s"}`;
+  const task =
+    variantCount === 1
+      ? "Generate 1 variant that implements the request"
+      : `Generate ${variantCount} distinct variants that implement the request in different ways`;
+
   // Enhanced system prompt for better AI responses
   const systemPrompt = `You are a front-end development assistant that remixes UI components based on user prompts.
 
 Your task:
 1. Take the original HTML and CSS provided
 2. Apply the user's remix request (e.g., "add dark mode", "make it rounded", "change colors")
-3. Generate 3 distinct variants that implement the request in different ways
+3. ${task}
 4. Return ONLY valid JSON with this exact structure:
 {
   "variants": [
@@ -60,15 +347,11 @@ Your task:
   ]
 }
 
-Rules:
-- Preserve the component's structure and functionality
-- Only modify what the user requested
-- Ensure HTML and CSS are valid and properly formatted
-- Each variant should be meaningfully different
-- Keep descriptions concise (1 sentence max)`;
+${VARIANT_RULES}
+- Each variant should be meaningfully different`;
 
   const userPrompt = [
-    "=== ORIGINAL COMPONENT ===",
+    history.length ? "=== CURRENT COMPONENT ===" : "=== ORIGINAL COMPONENT ===",
     "",
     "HTML:",
     html || "(empty)",
@@ -76,124 +359,160 @@ Rules:
     "CSS:",
     css || "(empty)",
     "",
+    ...formatTokensForPrompt(tokens),
+    ...formatDesignSystemForPrompt(designSystem),
+    ...formatHistoryForPrompt(history),
     "=== REMIX REQUEST ===",
-    prompt || "No specific request - create 3 creative variations",
+    prompt || `No specific request - create ${variantCount} creative ${variantsNoun}`,
     "",
-    "Generate 3 remixed variants as JSON:",
+    `Generate ${variantCount} remixed ${variantsNoun} as JSON:`,
   ].join("\n");
 
-  const body = {
-    model: "gpt-3.5-turbo",
-    messages: [
-      {
-        role: "system",
-        content: systemPrompt,
-      },
-      {
-        role: "user",
-        content: userPrompt,
-      },
-    ],
-    temperature: 0.7,
-    max_tokens: 2000, // Limit response size
-  };
+  // Stream when the caller wants progress; variants are reported in order,
+  // skipping empty ones, and the full reply is still parsed at the end
+  let onText;
+  if (onVariant || onProgress) {
+    const scanVariants = createVariantScanner();
+    let received = 0;
+    let streamed = 0;
+    onText = (text) => {
+      received += text.length;
+      scanVariants(text).forEach((raw) => {
+        const variant = normalizeVariant(raw, streamed);
+        if (streamed >= variantCount || (!variant.html && !variant.css)) return;
+        onVariant?.(variant, streamed++);
+      });
+      onProgress?.({ received, variants: streamed });
+    };
+  }
 
   try {
-    // Make API request to OpenAI
-    const resp = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
+    const content = await provider.complete(
+      {
+        system: withAddendum(systemPrompt, systemPromptAddendum),
+        user: userPrompt,
+        temperature,
+        maxTokens,
+        json: true,
       },
-      body: JSON.stringify(body),
-    });
-
-    if (!resp.ok) {
-      const text = await resp.text();
-      let errorMsg = `OpenAI API error (${resp.status})`;
-
-      // Try to extract meaningful error message
-      try {
-        const errorData = JSON.parse(text);
-        errorMsg = errorData.error?.message || errorMsg;
-      } catch {
-        // If parsing fails, use the raw text (truncated)
-        errorMsg = text.length > 100 ? text.substring(0, 100) + "..." : text;
-      }
+      { baseUrl, model: modelOverride || model, apiKey },
+      { signal, onText }
+    );
 
-      throw new Error(errorMsg);
+    return parseVariantsReply(content, provider.label, variantCount);
+  } catch (error) {
+    if (error.name !== "AbortError") {
+      console.error("CRE: AI remix error:", error);
     }
+    throw error;
+  }
+}
 
-    const data = await resp.json();
-    const content = data?.choices?.[0]?.message?.content;
-
-    if (!content) {
-      throw new Error(
-        "OpenAI response missing content. The API may have returned an empty response."
-      );
-    }
+/**
+ * Ask the configured AI provider to fix a variant that failed validation.
+ * The model sees the component it remixed, the request and the specific
+ * problems found, and returns a single corrected variant.
+ * @param {Object} params - Parameters for the repair request
+ * @param {string} params.html - HTML of the component that was remixed
+ * @param {string} params.css - CSS of the component that was remixed
+ * @param {Object<string, string>} [params.tokens] - Custom properties the CSS references
+ * @param {string} params.prompt - Remix prompt the variant implements
+ * @param {string[]} [params.history] - Earlier prompts when refining a variant, oldest first
+ * @param {{html: string, css: string, description: string}} params.variant - The failing variant
+ * @param {string[]} params.errors - Validation errors to fix (see describeValidationErrors)
+ * @param {Object} [params.parameters] - RemixParameters of the remix; the model,
+ *   token budget and extra instructions apply to the repair too
+ * @param {import("./design-system.js").DesignSystem|null} [params.designSystem] - Tokens the variant must use
+ * @param {Object} connection - Provider to call and how to reach it (as for callAIForRemix)
+ * @param {Object} [options] - Cancellation
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<{html: string, css: string, description: string}>} The repaired variant
+ * @throws {Error} If API request fails or response is invalid
+ */
+export async function callAIForRepair(
+  {
+    html,
+    css,
+    tokens = {},
+    prompt,
+    history = [],
+    variant,
+    errors = [],
+    parameters,
+    designSystem = null,
+  },
+  { provider, baseUrl, model, apiKey },
+  { signal } = {}
+) {
+  const { model: modelOverride, maxTokens, systemPromptAddendum } =
+    normalizeRemixParameters(parameters);
 
-    // Parse JSON response, handling code fences if present
-    let parsed;
-    try {
-      parsed = JSON.parse(content);
-    } catch (err) {
-      // Try to extract JSON from markdown code fences
-      const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
-      if (jsonMatch) {
-        parsed = JSON.parse(jsonMatch[1].trim());
-      } else {
-        // Try to find JSON object in the response
-        const jsonObjectMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonObjectMatch) {
-          parsed = JSON.parse(jsonObjectMatch[0]);
-        } else {
-          throw new Error(
-            `Failed to parse AI response as JSON: ${err.message}`
-          );
-        }
-      }
-    }
+  const systemPrompt = `You are a front-end development assistant that fixes remixed UI components.
 
-    // Validate response structure
-    if (!parsed || typeof parsed !== "object") {
-      throw new Error("AI response is not a valid JSON object");
+Your task:
+1. Take the component, the remix request and the variant generated for it
+2. Fix every problem listed, keeping the variant's design intent
+3. Return ONLY valid JSON with this exact structure, with exactly one variant:
+{
+  "variants": [
+    {
+      "html": "<corrected HTML string>",
+      "css": "<corrected CSS string>",
+      "description": "Brief description of what changed"
     }
+  ]
+}
 
-    if (!parsed.variants || !Array.isArray(parsed.variants)) {
-      throw new Error("AI response missing 'variants' array");
-    }
+${VARIANT_RULES}
+- Close every tag you open and do not use <script>, <iframe> or inline event handlers`;
 
-    if (parsed.variants.length === 0) {
-      throw new Error("AI returned zero variants");
-    }
+  const userPrompt = [
+    history.length ? "=== CURRENT COMPONENT ===" : "=== ORIGINAL COMPONENT ===",
+    "",
+    "HTML:",
+    html || "(empty)",
+    "",
+    "CSS:",
+    css || "(empty)",
+    "",
+    ...formatTokensForPrompt(tokens),
+    ...formatDesignSystemForPrompt(designSystem),
+    ...formatHistoryForPrompt(history),
+    "=== REMIX REQUEST ===",
+    prompt || "No specific request - create a creative variation",
+    "",
+    "=== VARIANT TO FIX ===",
+    "",
+    "HTML:",
+    variant?.html || "(empty)",
+    "",
+    "CSS:",
+    variant?.css || "(empty)",
+    "",
+    "=== PROBLEMS FOUND ===",
+    ...errors.map((error) => `- ${error}`),
+    "",
+    "Return the corrected variant as JSON:",
+  ].join("\n");
 
-    // Normalize and validate variants
-    const normalized = parsed.variants
-      .slice(0, 3) // Limit to 3 variants max
-      .map((v, idx) => ({
-        html: String(v.html || "").trim(),
-        css: String(v.css || "").trim(),
-        description: String(v.description || `Variant ${idx + 1}`).trim(),
-      }))
-      .filter((v) => v.html || v.css); // Remove completely empty variants
-
-    if (normalized.length === 0) {
-      throw new Error("All AI variants were empty or invalid");
-    }
+  try {
+    const content = await provider.complete(
+      {
+        system: withAddendum(systemPrompt, systemPromptAddendum),
+        user: userPrompt,
+        temperature: 0.2, // Fix the listed problems, not redesign
+        maxTokens,
+        json: true,
+      },
+      { baseUrl, model: modelOverride || model, apiKey },
+      { signal }
+    );
 
-    return normalized;
+    return parseVariantsReply(content, provider.label, 1)[0];
   } catch (error) {
-    console.error("CRE: AI remix error:", error);
-
-    // Re-throw with more context if it's a network error
-    if (error instanceof TypeError && error.message.includes("fetch")) {
-      throw new Error(
-        "Network error: Could not reach OpenAI API. Check your internet connection."
-      );
+    if (error.name !== "AbortError") {
+      console.error("CRE: AI repair error:", error);
     }
-
     throw error;
   }
 }
@@ -47,6 +47,113 @@ function tryPrettier(code, parser) {
   return code;
 }
 
+/**
+ * Build doc-comment lines listing assets that were not inlined during extraction.
+ * These still point at the source site and have to be hosted with the code.
+ * @param {string[]} [externalAssets] - Absolute asset URLs
+ * @returns {string} Comment lines (with a leading newline), or "" when there are none
+ */
+function formatExternalAssetNotes(externalAssets) {
+  if (!externalAssets || !externalAssets.length) return "";
+  return [
+    "",
+    " * ",
+    " * External assets (not inlined):",
+    ...externalAssets.map((url) => ` *   - ${url}`),
+  ].join("\n");
+}
+
+/**
+ * Build a :root block defining the component's design tokens.
+ * @param {Object<string, string>} [tokens] - Custom property name -> value
+ * @returns {string} CSS block, or "" when there are no tokens
+ */
+function buildTokenBlock(tokens) {
+  const entries = Object.entries(tokens || {});
+  if (!entries.length) return "";
+  return `:root {\n${entries.map(([name, value]) => `  ${name}: ${value};`).join("\n")}\n}`;
+}
+
+/**
+ * Replace var() references with token values, for output that should not
+ * depend on custom properties. Unknown tokens fall back to the var()'s own
+ * fallback value and are otherwise left untouched.
+ * @param {string} text - CSS (or markup with inline styles)
+ * @param {Object<string, string>} [tokens] - Custom property name -> value
+ * @returns {string} Text with var() references substituted
+ */
+function inlineTokenValues(text, tokens = {}) {
+  if (!text || !text.includes("var(")) return text || "";
+
+  let result = "";
+  let index = 0;
+  while (index < text.length) {
+    const start = text.indexOf("var(", index);
+    if (start === -1) break;
+
+    // Find the matching closing parenthesis and the top-level fallback comma
+    let depth = 0;
+    let comma = -1;
+    let end = -1;
+    for (let i = start + 3; i < text.length; i++) {
+      if (text[i] === "(") depth += 1;
+      else if (text[i] === ")" && --depth === 0) {
+        end = i;
+        break;
+      } else if (text[i] === "," && depth === 1 && comma === -1) comma = i;
+    }
+    if (end === -1) break;
+
+    const name = text.slice(start + 4, comma === -1 ? end : comma).trim();
+    const fallback = comma === -1 ? null : text.slice(comma + 1, end).trim();
+    const value = tokens[name] ?? fallback;
+
+    result += text.slice(index, start);
+    result +=
+      value === null ? text.slice(start, end + 1) : inlineTokenValues(value, tokens);
+    index = end + 1;
+  }
+
+  return result + text.slice(index);
+}
+
+/**
+ * Separate top-level @keyframes and @font-face blocks from the rest of the CSS.
+ * These at-rules are global and are not valid inside a style rule, so they
+ * have to stay outside any scope wrapper.
+ * @param {string} css - Component CSS
+ * @returns {{globalCss: string, localCss: string}}
+ */
+function splitGlobalAtRules(css) {
+  const text = css || "";
+  const globalBlocks = [];
+  let localCss = "";
+  let depth = 0;
+  let blockStart = -1; // start of the global block being copied, if any
+
+  for (let i = 0; i < text.length; i++) {
+    if (
+      depth === 0 &&
+      blockStart === -1 &&
+      /^@(?:-webkit-)?(?:keyframes|font-face)\b/.test(text.slice(i, i + 20))
+    ) {
+      blockStart = i;
+    }
+
+    if (text[i] === "{") depth += 1;
+    if (text[i] === "}") depth -= 1;
+
+    if (blockStart === -1) {
+      localCss += text[i];
+    } else if (text[i] === "}" && depth === 0) {
+      globalBlocks.push(text.slice(blockStart, i + 1));
+      blockStart = -1;
+    }
+  }
+
+  return { globalCss: globalBlocks.join("\n\n"), localCss: localCss.trim() };
+}
+
 /**
  * Convert HTML attributes to JSX-compatible format.
  * Handles class -> className, for -> htmlFor, and other React-specific conversions.
@@ -86,9 +193,12 @@ function htmlToJsx(html) {
  * Converts HTML to JSX and provides a clean component structure with props support.
  * @param {Object} variant - Component variant with html and css
  * @param {string} name - Component name (sanitized for valid JavaScript identifier)
+ * @param {Object} [options] - Generation options
+ * @param {string[]} [options.externalAssets] - Asset URLs that were not inlined
+ * @param {string} [options.tokenCss] - :root block defining design tokens
  * @returns {string} React component code
  */
-function toReactComponent(variant, name) {
+function toReactComponent(variant, name, options = {}) {
   if (!variant) {
     throw new Error("Variant is required for React code generation");
   }
@@ -100,7 +210,8 @@ function toReactComponent(variant, name) {
       .replace(/^[a-z]/, (m) => m.toUpperCase()) || "MyComponent";
 
   let html = variant.html || "";
-  const css = variant.css || "";
+  const css = [options.tokenCss, variant.css].filter(Boolean).join("\n\n");
+  const assetNotes = formatExternalAssetNotes(options.externalAssets);
 
   // Convert HTML to JSX
   html = htmlToJsx(html);
@@ -116,7 +227,7 @@ import './${safeName}.css';
 
 /**
  * ${safeName} component
- * Generated by Component Remix Engine (CRE)
+ * Generated by Component Remix Engine (CRE)${assetNotes}
  * 
  * @param {Object} props - Component props
  * @returns {JSX.Element}
@@ -135,7 +246,7 @@ import './${safeName}.css';
 
 /**
  * ${safeName} component
- * Generated by Component Remix Engine (CRE)
+ * Generated by Component Remix Engine (CRE)${assetNotes}
  * 
  * @param {Object} props - Component props (extend as needed)
  * @returns {JSX.Element}
@@ -149,9 +260,11 @@ ${html.split("\n").map((line) => `      ${line}`).join("\n")}
 }`;
   }
 
-  // Add CSS as comment at the end
+  // Add CSS as comment at the end. Comments inside the CSS would end the
+  // block early and cut off later rules (states, pseudo-elements), so drop them.
   if (css) {
-    componentCode += `\n\n/*\n * CSS for ${safeName}\n * Copy this to ${safeName}.css:\n */\n/*\n${css}\n*/`;
+    const commentSafeCss = css.replace(/\/\*[\s\S]*?\*\/\s*/g, "");
+    componentCode += `\n\n/*\n * CSS for ${safeName}\n * Copy this to ${safeName}.css:\n */\n/*\n${commentSafeCss}\n*/`;
   }
 
   // Format with Prettier if available
@@ -163,9 +276,12 @@ ${html.split("\n").map((line) => `      ${line}`).join("\n")}
  * Uses Composition API with <script setup> for modern Vue 3 syntax.
  * @param {Object} variant - Component variant with html and css
  * @param {string} name - Component name (sanitized)
+ * @param {Object} [options] - Generation options
+ * @param {string[]} [options.externalAssets] - Asset URLs that were not inlined
+ * @param {string} [options.tokenCss] - :root block defining design tokens
  * @returns {string} Vue SFC code
  */
-function toVueSFC(variant, name) {
+function toVueSFC(variant, name, options = {}) {
   if (!variant) {
     throw new Error("Variant is required for Vue code generation");
   }
@@ -178,11 +294,12 @@ function toVueSFC(variant, name) {
 
   let tpl = variant.html || "";
   const css = variant.css || "";
+  const assetNotes = formatExternalAssetNotes(options.externalAssets);
+
+  // Static class attributes are valid in Vue templates as-is; binding them
+  // with :class would evaluate "cre-component-1" as an expression and drop the
+  // classes that state (:hover) and pseudo-element selectors rely on.
 
-  // Convert HTML attributes for Vue compatibility
-  // class is fine in Vue, but convert v-bind shortcuts
-  tpl = tpl.replace(/\s+class=/g, " :class="); // Could use :class for dynamic classes if needed
-  
   // Ensure proper indentation for template
   const templateContent = tpl
     .split("\n")
@@ -197,7 +314,7 @@ ${templateContent || "  <div></div>"}
 <script setup lang="ts">
 /**
  * ${safeName} component
- * Generated by Component Remix Engine (CRE)
+ * Generated by Component Remix Engine (CRE)${assetNotes}
  * 
  * Define props and component logic here
  */
@@ -213,6 +330,14 @@ ${templateContent || "  <div></div>"}
 <style scoped>
 ${css || "/* Add component styles here */"}
 </style>`;
+  // @keyframes can stay in the scoped block: Vue scopes their names and the
+  // animation declarations that reference them together
+
+  // Scoped styles attach a data attribute to every selector, which would make
+  // :root never match, so tokens go in their own global block
+  if (options.tokenCss) {
+    code += `\n\n<style>\n${options.tokenCss}\n</style>`;
+  }
 
   // Format with Prettier if available
   return tryPrettier(code.trim(), "html");
@@ -223,9 +348,12 @@ ${css || "/* Add component styles here */"}
  * Creates a scoped, self-contained HTML file that can be used directly.
  * @param {Object} variant - Component variant with html and css
  * @param {string} name - Component name (for comments/documentation)
+ * @param {Object} [options] - Generation options
+ * @param {string[]} [options.externalAssets] - Asset URLs that were not inlined
+ * @param {string} [options.tokenCss] - :root block defining design tokens
  * @returns {string} HTML + CSS code
  */
-function toHtmlCss(variant, name) {
+function toHtmlCss(variant, name, options = {}) {
   if (!variant) {
     throw new Error("Variant is required for HTML code generation");
   }
@@ -237,26 +365,43 @@ function toHtmlCss(variant, name) {
   // Create scoped CSS by wrapping in a unique class
   const scopeId = `cre-${componentName.toLowerCase().replace(/\s+/g, "-")}`;
   let scopedCss = css;
+  let scopedSource = html;
 
-  // If CSS contains .cre-component, scope it to our component
+  // If CSS contains .cre-component (and its generated per-element variants),
+  // rename those classes in both the CSS and the markup
   if (css && css.includes(".cre-component")) {
     scopedCss = css.replace(/\.cre-component/g, `.${scopeId}`);
+    scopedSource = html.replace(/\bcre-component/g, scopeId);
   } else if (css) {
-    // Wrap entire CSS in scope
-    scopedCss = `.${scopeId} {\n${css.split("\n").map((line) => `  ${line}`).join("\n")}\n}`;
+    // Wrap entire CSS in scope; @keyframes and @font-face must stay top-level
+    const { globalCss, localCss } = splitGlobalAtRules(css);
+    const wrappedCss = localCss
+      ? `.${scopeId} {\n${localCss.split("\n").map((line) => `  ${line}`).join("\n")}\n}`
+      : "";
+    scopedCss = [globalCss, wrappedCss].filter(Boolean).join("\n\n");
+  }
+
+  // Tokens are global and must stay outside the scope wrapper
+  if (options.tokenCss) {
+    scopedCss = `${options.tokenCss}\n\n${scopedCss}`;
   }
 
   // Wrap HTML in scoped container
-  const scopedHtml = html.includes(`class="${scopeId}"`) || html.includes(`class='${scopeId}'`)
-    ? html
-    : `<div class="${scopeId}">\n${html.split("\n").map((line) => `  ${line}`).join("\n")}\n</div>`;
+  const scopedHtml = scopedSource.includes(`class="${scopeId}"`) || scopedSource.includes(`class='${scopeId}'`)
+    ? scopedSource
+    : `<div class="${scopeId}">\n${scopedSource.split("\n").map((line) => `  ${line}`).join("\n")}\n</div>`;
+
+  const externalAssets = options.externalAssets || [];
+  const assetComment = externalAssets.length
+    ? `\n  <!--\n    External assets (not inlined):\n${externalAssets.map((url) => `      - ${url}`).join("\n")}\n  -->`
+    : "";
 
   const code = `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${componentName}</title>
+  <title>${componentName}</title>${assetComment}
   <style>
     /* ${componentName} - Generated by Component Remix Engine (CRE) */
 ${scopedCss.split("\n").map((line) => `    ${line}`).join("\n")}
@@ -279,13 +424,18 @@ ${scopedHtml.split("\n").map((line) => `  ${line}`).join("\n")}
  * @param {string} framework - Target framework: "react", "vue", or "html"
  * @param {Object} variant - Component variant with {html: string, css: string} properties
  * @param {string} name - Component name (default: "Component")
+ * @param {Object} [options] - Generation options
+ * @param {string[]} [options.externalAssets] - Asset URLs that were not inlined; listed in the output
+ * @param {Object<string, string>} [options.tokens] - Design tokens (custom properties) the variant references
+ * @param {"var"|"literal"} [options.tokenMode="var"] - Emit tokens as a :root block, or substitute their values
  * @returns {string} Generated code for the specified framework
  * @throws {Error} If variant is invalid or framework is unsupported
  */
 export function generateCodeForFramework(
   framework,
   variant,
-  name = "Component"
+  name = "Component",
+  options = {}
 ) {
   // Validate inputs
   if (!variant || typeof variant !== "object") {
@@ -299,23 +449,34 @@ export function generateCodeForFramework(
   // Normalize framework name (case-insensitive)
   const normalizedFramework = (framework || "react").toLowerCase();
 
+  const { tokens, tokenMode = "var", ...generatorOptions } = options;
+  if (tokenMode === "literal") {
+    variant = {
+      ...variant,
+      html: inlineTokenValues(variant.html, tokens),
+      css: inlineTokenValues(variant.css, tokens),
+    };
+  } else {
+    generatorOptions.tokenCss = buildTokenBlock(tokens);
+  }
+
   try {
     switch (normalizedFramework) {
       case "vue":
-        return toVueSFC(variant, name);
+        return toVueSFC(variant, name, generatorOptions);
       
       case "html":
       case "html+css":
       case "htmlcss":
-        return toHtmlCss(variant, name);
+        return toHtmlCss(variant, name, generatorOptions);
       
       case "react":
       case "jsx":
-        return toReactComponent(variant, name);
+        return toReactComponent(variant, name, generatorOptions);
       
       default:
         console.warn(`CRE: Unknown framework "${framework}", defaulting to React`);
-        return toReactComponent(variant, name);
+        return toReactComponent(variant, name, generatorOptions);
     }
   } catch (error) {
     console.error(`CRE: Code generation failed for ${normalizedFramework}:`, error);
@@ -0,0 +1,396 @@
+// utils/design-system.js
+// The team's design system: color tokens, font stacks, and spacing and radius
+// scales, set in the popup settings (creSettings.designSystem). utils/ai.js
+// asks the model to stay within it; the sidebar checks each variant's CSS
+// against it and can snap values outside it to the nearest token.
+// No chrome.* or DOM APIs, so the popup and the content script can both import it.
+
+/**
+ * @typedef {Object} DesignSystem
+ * @property {Array<{name: string, value: string}>} colors - Color tokens; values are hex
+ * @property {Array<{name: string, value: string}>} fonts - Font stacks (font-family values)
+ * @property {number[]} spacing - Spacing scale in px (margin, padding, gap), ascending
+ * @property {number[]} radii - Border radius scale in px, ascending
+ */
+
+/**
+ * @typedef {Object} TokenIssue
+ * @property {"color"|"font"|"spacing"|"radius"} kind - Which part of the design system it breaks
+ * @property {string} property - CSS property the value was found in
+ * @property {string} value - The value as written, e.g. "#3b82f6" or "13px"
+ * @property {string} suggestion - Nearest token, e.g. "primary (#2563eb)" or "12px"
+ */
+
+// rem lengths are compared in px at the browser default root font size
+const ROOT_FONT_SIZE_PX = 16;
+
+// Color literals; keywords (named colors, currentColor, transparent) are not checked.
+// url() is matched first so a fragment like url(#bad) is not read as a color;
+// parseColor rejects it and it is left as written.
+const COLOR_PATTERN = /\burl\([^)]*\)|#[0-9a-f]{3,8}\b|\b(?:rgba?|hsla?)\([^()]*\)/gi;
+
+const LENGTH_PATTERN = /(-?)(\d*\.?\d+)(px|rem)\b/g;
+
+const SPACING_PROPERTY =
+  /^(?:(?:margin|padding)(?:-(?:top|right|bottom|left|block|inline)(?:-(?:start|end))?)?|(?:row-|column-)?gap)$/;
+
+const RADIUS_PROPERTY =
+  /^border(?:-(?:top|bottom|start|end)-(?:left|right|start|end))?-radius$/;
+
+// A declaration: property and value up to the next ";" or "}" (selectors and
+// @media conditions are followed by "{", so they don't match)
+const DECLARATION_PATTERN =
+  /(^|[{;\s])(--[\w-]+|[a-z-]+)(\s*:\s*)([^;{}]+?)(\s*)(?=;|}|$)/gi;
+
+/**
+ * Parse a CSS color literal.
+ * @param {string} text - Hex, rgb(a) or hsl(a) color
+ * @returns {{r: number, g: number, b: number, a: number}|null} Channels 0-255, alpha 0-1; null if unreadable
+ */
+function parseColor(text) {
+  const value = text.trim().toLowerCase();
+
+  const hex = value.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = [...digits].map((d) => d + d).join("");
+    const channel = (i) => parseInt(digits.slice(i * 2, i * 2 + 2), 16);
+    return {
+      r: channel(0),
+      g: channel(1),
+      b: channel(2),
+      a: digits.length === 8 ? channel(3) / 255 : 1,
+    };
+  }
+
+  const fn = value.match(/^(rgba?|hsla?)\(([^()]*)\)$/);
+  if (!fn) return null;
+  const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+  if (parts.length < 3 || parts.length > 4) return null;
+
+  const number = (part, percentScale) => {
+    const n = parseFloat(part);
+    return part.endsWith("%") ? (n / 100) * percentScale : n;
+  };
+  if (parts.some((part) => Number.isNaN(parseFloat(part)))) return null;
+  const a = parts[3] === undefined ? 1 : Math.min(Math.max(number(parts[3], 1), 0), 1);
+
+  if (fn[1].startsWith("rgb")) {
+    const [r, g, b] = parts.slice(0, 3).map((part) =>
+      Math.round(Math.min(Math.max(number(part, 255), 0), 255))
+    );
+    return { r, g, b, a };
+  }
+
+  // hsl(h s l): hue in degrees, saturation and lightness in percent
+  const h = (((parseFloat(parts[0]) % 360) + 360) % 360) / 360;
+  const s = Math.min(Math.max(parseFloat(parts[1]) / 100, 0), 1);
+  const l = Math.min(Math.max(parseFloat(parts[2]) / 100, 0), 1);
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const hue = (t) => {
+    const x = ((t % 1) + 1) % 1;
+    if (x < 1 / 6) return p + (q - p) * 6 * x;
+    if (x < 1 / 2) return q;
+    if (x < 2 / 3) return p + (q - p) * (2 / 3 - x) * 6;
+    return p;
+  };
+  return {
+    r: Math.round(hue(h + 1 / 3) * 255),
+    g: Math.round(hue(h) * 255),
+    b: Math.round(hue(h - 1 / 3) * 255),
+    a,
+  };
+}
+
+/**
+ * Write a color as hex, with an alpha pair only when it is translucent.
+ * @param {{r: number, g: number, b: number, a: number}} color
+ * @returns {string} e.g. "#2563eb"
+ */
+function toHex({ r, g, b, a }) {
+  const pairs = [r, g, b, ...(a < 1 ? [Math.round(a * 255)] : [])];
+  return "#" + pairs.map((n) => n.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Perceptual distance between two colors ("redmean" weighted RGB). Alpha is
+ * ignored: a translucent palette color still counts as that color.
+ * @returns {number}
+ */
+function colorDistance(x, y) {
+  const rMean = (x.r + y.r) / 2;
+  const dr = x.r - y.r;
+  const dg = x.g - y.g;
+  const db = x.b - y.b;
+  return Math.sqrt(
+    (2 + rMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rMean) / 256) * db * db
+  );
+}
+
+/**
+ * Split a font-family value into lowercase family names without quotes.
+ * @param {string} value - e.g. '"Inter", system-ui, sans-serif'
+ * @returns {string[]}
+ */
+function fontFamilies(value) {
+  return value
+    .split(",")
+    .map((family) => family.trim().replace(/^["']|["']$/g, "").toLowerCase())
+    .filter(Boolean);
+}
+
+// e.g. "primary (#2563eb)"; tokens entered without a name are just their value
+function describeToken({ name, value }) {
+  return name === value ? value : `${name} (${value})`;
+}
+
+// Drop float noise, e.g. 0.30000000000000004 -> 0.3
+function formatNumber(n) {
+  return String(Number(n.toFixed(4)));
+}
+
+/**
+ * Go through the color, font-family, spacing and radius values in a
+ * stylesheet, letting a callback replace the ones outside the design system.
+ * Values built with var(), calc() and similar functions are skipped, except
+ * for the color literals inside them.
+ * @param {string} css - Stylesheet text
+ * @param {DesignSystem} designSystem
+ * @param {(issue: TokenIssue, replacement: string) => string} onIssue - Returns the text to put in the value's place
+ * @returns {string} The stylesheet with the callback's replacements
+ */
+function mapOffTokenValues(css, designSystem, onIssue) {
+  const { colors = [], fonts = [], spacing = [], radii = [] } = designSystem;
+  const palette = colors
+    .map((token) => ({ ...token, color: parseColor(token.value) }))
+    .filter((token) => token.color);
+  const stacks = fonts.map((token) => ({ ...token, families: fontFamilies(token.value) }));
+
+  const replaceColors = (property, value) =>
+    value.replace(COLOR_PATTERN, (literal) => {
+      const color = parseColor(literal);
+      if (!color) return literal;
+
+      let nearest = null;
+      let nearestDistance = Infinity;
+      palette.forEach((token) => {
+        const distance = colorDistance(color, token.color);
+        if (distance < nearestDistance) {
+          nearest = token;
+          nearestDistance = distance;
+        }
+      });
+      if (nearestDistance === 0) return literal;
+
+      // Keep the literal's transparency on the token's color
+      const replacement =
+        color.a < 1 && nearest.color.a === 1
+          ? `rgba(${nearest.color.r}, ${nearest.color.g}, ${nearest.color.b}, ${formatNumber(color.a)})`
+          : nearest.value;
+      return onIssue(
+        {
+          kind: "color",
+          property,
+          value: literal,
+          suggestion: describeToken(nearest),
+        },
+        replacement
+      );
+    });
+
+  const replaceLengths = (kind, property, value, scale) => {
+    if (value.includes("(")) return value;
+    return value.replace(LENGTH_PATTERN, (literal, sign, amount, unit) => {
+      const px = Number(amount) * (unit === "rem" ? ROOT_FONT_SIZE_PX : 1);
+      if (px === 0 || scale.includes(px)) return literal;
+
+      const nearest = scale.reduce((best, step) =>
+        Math.abs(step - px) < Math.abs(best - px) ? step : best
+      );
+      const replacement =
+        sign +
+        (unit === "rem"
+          ? `${formatNumber(nearest / ROOT_FONT_SIZE_PX)}rem`
+          : `${formatNumber(nearest)}px`);
+      return onIssue(
+        { kind, property, value: literal, suggestion: `${sign}${nearest}px` },
+        replacement
+      );
+    });
+  };
+
+  const replaceFont = (property, value) => {
+    const important = value.match(/\s*!important$/i)?.[0] || "";
+    const families = fontFamilies(value.slice(0, value.length - important.length));
+    if (!families.length || /^(inherit|initial|unset|revert)$/.test(families[0])) {
+      return value;
+    }
+    if (value.includes("(")) return value;
+    if (stacks.some((stack) => stack.families.join() === families.join())) return value;
+
+    // The stack sharing the most families (e.g. the generic "monospace"), else the first
+    let nearest = stacks[0];
+    let shared = 0;
+    stacks.forEach((stack) => {
+      const count = stack.families.filter((family) => families.includes(family)).length;
+      if (count > shared) {
+        nearest = stack;
+        shared = count;
+      }
+    });
+    return (
+      onIssue(
+        {
+          kind: "font",
+          property,
+          value: value.slice(0, value.length - important.length),
+          suggestion: describeToken(nearest),
+        },
+        nearest.value
+      ) + important
+    );
+  };
+
+  return String(css || "").replace(
+    DECLARATION_PATTERN,
+    (match, lead, rawProperty, colon, value, trailing) => {
+      const property = rawProperty.toLowerCase();
+      let next = value;
+      if (palette.length) next = replaceColors(property, next);
+      if (stacks.length && property === "font-family") next = replaceFont(property, next);
+      if (spacing.length && SPACING_PROPERTY.test(property)) {
+        next = replaceLengths("spacing", property, next, spacing);
+      }
+      if (radii.length && RADIUS_PROPERTY.test(property)) {
+        next = replaceLengths("radius", property, next, radii);
+      }
+      return lead + rawProperty + colon + next + trailing;
+    }
+  );
+}
+
+/**
+ * Find the values in a variant's CSS that are not in the design system.
+ * Each distinct value is reported once per property.
+ * @param {string} css - Variant CSS
+ * @param {DesignSystem} designSystem
+ * @returns {TokenIssue[]}
+ */
+export function checkDesignTokens(css, designSystem) {
+  const issues = new Map();
+  mapOffTokenValues(css, designSystem, (issue, replacement) => {
+    issues.set(`${issue.kind}|${issue.property}|${issue.value}`, issue);
+    return replacement;
+  });
+  return [...issues.values()];
+}
+
+/**
+ * Replace every value outside the design system with its nearest token.
+ * @param {string} css - Variant CSS
+ * @param {DesignSystem} designSystem
+ * @returns {{css: string, replaced: number}} The snapped CSS and how many values changed
+ */
+export function snapToDesignTokens(css, designSystem) {
+  let replaced = 0;
+  const snapped = mapOffTokenValues(css, designSystem, (issue, replacement) => {
+    replaced++;
+    return replacement;
+  });
+  return { css: snapped, replaced };
+}
+
+/**
+ * Describe a token issue for the sidebar, e.g. "color: #3b82f6 → primary (#2563eb)".
+ * @param {TokenIssue} issue
+ * @returns {string}
+ */
+export function describeTokenIssue({ property, value, suggestion }) {
+  return `${property}: ${value} → ${suggestion}`;
+}
+
+/**
+ * Whether a design system has anything to check against.
+ * @param {DesignSystem|null|undefined} designSystem - creSettings.designSystem
+ * @returns {boolean}
+ */
+export function hasDesignTokens(designSystem) {
+  return Boolean(
+    designSystem &&
+      ["colors", "fonts", "spacing", "radii"].some((key) => designSystem[key]?.length)
+  );
+}
+
+/**
+ * Read the design system fields of the popup settings form.
+ * Colors and fonts are one "name: value" per line; scales are px numbers
+ * separated by commas or spaces.
+ * @param {{colors: string, fonts: string, spacing: string, radii: string}} fields - Field text
+ * @returns {DesignSystem|null} null when every field is empty
+ * @throws {Error} Naming the field and line that could not be read
+ */
+export function parseDesignSystem({ colors = "", fonts = "", spacing = "", radii = "" }) {
+  const entries = (text, label, readValue) =>
+    text
+      .split("\n")
+      .map((line) => line.trim())
+      .map((line, idx) => {
+        if (!line) return null;
+        const colon = line.indexOf(":");
+        const name = colon >= 0 ? line.slice(0, colon).trim() : "";
+        const raw = (colon >= 0 ? line.slice(colon + 1) : line).trim().replace(/;$/, "");
+        const value = readValue(raw);
+        if (!value) {
+          throw new Error(`${label}, line ${idx + 1}: "${raw}" is not a valid value.`);
+        }
+        return { name: name || value, value };
+      })
+      .filter(Boolean);
+
+  const scale = (text, label) =>
+    [
+      ...new Set(
+        text
+          .split(/[\s,]+/)
+          .filter(Boolean)
+          .map((step) => {
+            const px = Number(step.replace(/px$/i, ""));
+            if (!Number.isFinite(px) || px < 0) {
+              throw new Error(`${label}: "${step}" is not a px value.`);
+            }
+            return px;
+          })
+      ),
+    ].sort((a, b) => a - b);
+
+  const designSystem = {
+    colors: entries(colors, "Colors", (raw) => {
+      const color = parseColor(raw);
+      return color ? toHex(color) : null;
+    }),
+    fonts: entries(fonts, "Fonts", (raw) => (fontFamilies(raw).length ? raw : null)),
+    spacing: scale(spacing, "Spacing"),
+    radii: scale(radii, "Radii"),
+  };
+  return hasDesignTokens(designSystem) ? designSystem : null;
+}
+
+/**
+ * Write a design system back into the popup settings fields.
+ * @param {DesignSystem|null} designSystem
+ * @returns {{colors: string, fonts: string, spacing: string, radii: string}}
+ */
+export function formatDesignSystemFields(designSystem) {
+  const { colors = [], fonts = [], spacing = [], radii = [] } = designSystem || {};
+  const lines = (tokens) =>
+    tokens
+      .map(({ name, value }) => (name === value ? value : `${name}: ${value}`))
+      .join("\n");
+  return {
+    colors: lines(colors),
+    fonts: lines(fonts),
+    spacing: spacing.join(", "),
+    radii: radii.join(", "),
+  };
+}
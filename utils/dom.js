@@ -1,7 +1,354 @@
 // utils/dom.js
-// Placeholder for any future shared DOM helpers between popup and background.
-// Currently most DOM logic lives directly in content.js and popup.js.
+// Shared DOM helpers for the popup and the content script.
+// Sanitizes extracted and AI-generated markup before it is rendered or saved,
+// and renders component previews in isolated shadow roots.
+// Needs a DOM, so it cannot be used from the background service worker.
 
-export function noop() {
-  // Intentionally empty
+// Elements removed together with their content
+const DROPPED_TAGS = new Set([
+  "script",
+  "style",
+  "iframe",
+  "frame",
+  "frameset",
+  "object",
+  "embed",
+  "applet",
+  "portal",
+  "base",
+  "link",
+  "meta",
+  "noscript",
+  "template",
+]);
+
+/**
+ * Default sanitizer allowlist. Elements not listed are unwrapped (their
+ * children are kept); attributes not listed are removed. Event handler
+ * attributes (on*) are always removed, whatever the allowlist says.
+ */
+export const DEFAULT_SANITIZE_OPTIONS = {
+  allowedTags: [
+    // Structure and text
+    "a", "abbr", "address", "article", "aside", "b", "bdi", "bdo", "blockquote",
+    "br", "caption", "cite", "code", "col", "colgroup", "data", "dd", "del",
+    "details", "dfn", "div", "dl", "dt", "em", "figcaption", "figure", "footer",
+    "h1", "h2", "h3", "h4", "h5", "h6", "header", "hgroup", "hr", "i", "ins",
+    "kbd", "li", "main", "mark", "nav", "ol", "p", "pre", "q", "rp", "rt",
+    "ruby", "s", "samp", "section", "small", "span", "strong", "sub", "summary",
+    "sup", "table", "tbody", "td", "tfoot", "th", "thead", "time", "tr", "u",
+    "ul", "var", "wbr",
+    // Media
+    "audio", "img", "picture", "source", "track", "video",
+    // Forms (without submission targets, see allowedAttributes)
+    "button", "datalist", "fieldset", "form", "input", "label", "legend",
+    "meter", "optgroup", "option", "output", "progress", "select", "textarea",
+    // SVG
+    "svg", "g", "defs", "symbol", "use", "path", "rect", "circle", "ellipse",
+    "line", "polyline", "polygon", "text", "tspan", "title", "desc",
+    "lineargradient", "radialgradient", "stop", "clippath", "mask", "pattern",
+    "image",
+  ],
+  allowedAttributes: [
+    // Global
+    "class", "id", "style", "title", "role", "lang", "dir", "tabindex",
+    "hidden", "slot",
+    // Links and media
+    "href", "target", "rel", "src", "srcset", "sizes", "alt", "width",
+    "height", "loading", "decoding", "poster", "controls", "muted", "loop",
+    "playsinline", "media", "kind", "srclang", "label", "datetime", "cite",
+    // Forms and tables
+    "type", "name", "value", "placeholder", "checked", "disabled", "readonly",
+    "selected", "multiple", "required", "min", "max", "step", "minlength",
+    "maxlength", "autocomplete", "for", "rows", "cols", "open", "span",
+    "colspan", "rowspan", "headers", "scope", "start", "reversed",
+    // SVG presentation
+    "xmlns", "xlink:href", "viewbox", "preserveaspectratio", "d", "x", "y",
+    "x1", "x2", "y1", "y2", "cx", "cy", "r", "rx", "ry", "points",
+    "transform", "fill", "fill-opacity", "fill-rule", "clip-rule", "stroke",
+    "stroke-width", "stroke-opacity", "stroke-linecap", "stroke-linejoin",
+    "stroke-dasharray", "stroke-dashoffset", "opacity", "offset", "stop-color",
+    "stop-opacity", "gradientunits", "gradienttransform", "clip-path", "mask",
+    "font-size", "font-weight", "text-anchor", "dominant-baseline",
+    "vector-effect", "focusable",
+  ],
+  // aria-* and data-* attributes
+  allowedAttributePrefixes: ["aria-", "data-"],
+  allowedUrlSchemes: ["http:", "https:", "mailto:", "tel:"],
+  // data: URLs are only kept for images (inlined assets)
+  allowDataImages: true,
+  // Hyphenated names such as <x-card> (left after flattening shadow roots)
+  allowCustomElements: true,
+};
+
+// Attributes holding a URL (or a list of them) that are checked against allowedUrlSchemes
+const URL_ATTRIBUTES = new Set(["href", "src", "xlink:href", "poster", "cite"]);
+
+/**
+ * Sanitize an HTML string against an allowlist.
+ * @param {string} html - Untrusted markup (from a page or from the AI)
+ * @param {Object} [options] - Overrides for DEFAULT_SANITIZE_OPTIONS
+ * @returns {{html: string, report: SanitizeReport}} Clean markup and what was stripped
+ */
+export function sanitizeHtml(html, options = {}) {
+  const { fragment, report } = sanitizeToFragment(html, options);
+  const container = document.createElement("div");
+  container.appendChild(fragment);
+  return { html: container.innerHTML, report };
+}
+
+/**
+ * Sanitize markup and render it into a container, replacing its children.
+ * The sanitized nodes are inserted directly, so the markup is not re-parsed.
+ * @param {Element} container - Element to render into
+ * @param {string} html - Untrusted markup
+ * @param {Object} [options] - Overrides for DEFAULT_SANITIZE_OPTIONS
+ * @returns {SanitizeReport} What was stripped
+ */
+export function renderSanitizedHtml(container, html, options = {}) {
+  const { fragment, report } = sanitizeToFragment(html, options);
+  container.replaceChildren(fragment);
+  return report;
+}
+
+/**
+ * Render a component preview inside the host's own shadow root, so the
+ * component CSS cannot leak into the surrounding document (or other previews)
+ * and the document's CSS cannot leak in. Inherited styles are reset on the
+ * host, matching what exported code produces on a blank page.
+ * @param {Element} host - Element that hosts the preview (a div)
+ * @param {Object} component - Markup, CSS and design tokens to preview
+ * @param {string} [component.html] - Untrusted markup; sanitized before rendering
+ * @param {string} [component.css] - Component CSS
+ * @param {Object<string, string>} [component.tokens] - Custom properties the CSS references
+ * @param {Object} [options] - Overrides for DEFAULT_SANITIZE_OPTIONS
+ * @returns {SanitizeReport} What was stripped from the markup
+ */
+export function renderIsolatedPreview(
+  host,
+  { html = "", css = "", tokens = {} } = {},
+  options = {}
+) {
+  const root = host.shadowRoot || host.attachShadow({ mode: "open" });
+  const scoped = scopeFontFaces(css);
+
+  const hostDeclarations = [
+    "  all: initial;",
+    "  display: block;",
+    ...Object.entries(tokens || {}).map(([name, value]) => `  ${name}: ${value};`),
+  ];
+  const style = document.createElement("style");
+  style.textContent = `:host {\n${hostDeclarations.join("\n")}\n}\n\n${scoped.css}`;
+
+  const body = document.createElement("div");
+  const report = renderSanitizedHtml(body, html, options);
+  root.replaceChildren(style, body);
+
+  hoistFontFaces(host.ownerDocument, scoped.fontFaces);
+  return report;
+}
+
+const FONT_FACE_PATTERN = /@font-face\s*\{[^}]*\}/g;
+
+/**
+ * Give the component's @font-face families generated names, in the rules and
+ * wherever the CSS uses them, so hoisting the rules into the host document
+ * cannot change the fonts of the page or of other components that happen to
+ * use the same family name. Names are derived from the rules, so the same
+ * font in several previews is only registered once.
+ * @param {string} css - Component CSS
+ * @returns {{css: string, fontFaces: string[]}} CSS using the generated names, and its renamed @font-face rules
+ */
+function scopeFontFaces(css) {
+  const rules = (css || "").match(FONT_FACE_PATTERN) || [];
+  if (!rules.length) return { css: css || "", fontFaces: [] };
+
+  // Family name (lowercase) -> generated name
+  const families = new Map();
+  rules.forEach((rule) => {
+    const family = rule.match(/font-family\s*:\s*(["']?)([^;"'}]+)\1/i)?.[2].trim();
+    if (!family || families.has(family.toLowerCase())) return;
+    const sameFamily = rules.filter((r) => r.includes(family)).join("");
+    families.set(family.toLowerCase(), `cre-font-${hashString(sameFamily)}`);
+  });
+
+  // In font-family and the font shorthand, quoted or not
+  const namePatterns = [...families].map(([family, scopedName]) => [
+    new RegExp(
+      `(["'])${escapeRegExp(family)}\\1|(?<![\\w-])${escapeRegExp(family)}(?![\\w-])`,
+      "gi"
+    ),
+    `"${scopedName}"`,
+  ]);
+  const scopedCss = css.replace(
+    /(font(?:-family)?\s*:\s*)([^;{}]+)/gi,
+    (match, prefix, value) =>
+      prefix +
+      namePatterns.reduce((text, [pattern, name]) => text.replace(pattern, name), value)
+  );
+  return { css: scopedCss, fontFaces: scopedCss.match(FONT_FACE_PATTERN) || [] };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Short, stable name suffix for a string (djb2)
+function hashString(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+// @font-face rules already added to each document by hoistFontFaces
+const hoistedFontFaces = new WeakMap();
+
+/**
+ * Chrome ignores @font-face inside shadow roots, so add the component's font
+ * declarations to the host document once. They must already be scoped with
+ * scopeFontFaces, which keeps them from applying to the page.
+ * @param {Document} doc - Document containing the preview host
+ * @param {string[]} fontFaces - Scoped @font-face rules
+ */
+function hoistFontFaces(doc, fontFaces) {
+  if (!fontFaces.length) return;
+
+  if (!hoistedFontFaces.has(doc)) hoistedFontFaces.set(doc, new Set());
+  const added = hoistedFontFaces.get(doc);
+  const pending = fontFaces.filter((rule) => !added.has(rule));
+  if (!pending.length) return;
+
+  const style = doc.createElement("style");
+  style.dataset.creFonts = "";
+  style.textContent = pending.join("\n");
+  (doc.head || doc.documentElement).appendChild(style);
+  pending.forEach((rule) => added.add(rule));
+}
+
+/**
+ * @typedef {Object} SanitizeReport
+ * @property {Array<{tag: string, action: "removed"|"unwrapped"}>} elements - Stripped elements
+ * @property {Array<{tag: string, name: string, value: string}>} attributes - Stripped attributes
+ */
+
+/**
+ * Summarize a sanitize report for display, e.g.
+ * "Removed 1 element (iframe) and 2 attributes (onclick, href)".
+ * @param {SanitizeReport} report - Report from sanitizeHtml or renderSanitizedHtml
+ * @returns {string} Summary, or "" when nothing was stripped
+ */
+export function summarizeSanitizeReport(report) {
+  const elements = report?.elements || [];
+  const attributes = report?.attributes || [];
+  const describe = (count, noun, names) =>
+    `${count} ${noun}${count === 1 ? "" : "s"} (${Array.from(new Set(names)).join(", ")})`;
+
+  const parts = [];
+  if (elements.length) {
+    parts.push(describe(elements.length, "element", elements.map((e) => e.tag)));
+  }
+  if (attributes.length) {
+    parts.push(describe(attributes.length, "attribute", attributes.map((a) => a.name)));
+  }
+  return parts.length ? `Removed ${parts.join(" and ")}` : "";
+}
+
+/**
+ * Parse markup into an inert template and strip everything not allowed.
+ * @param {string} html - Untrusted markup
+ * @param {Object} options - Overrides for DEFAULT_SANITIZE_OPTIONS
+ * @returns {{fragment: DocumentFragment, report: SanitizeReport}}
+ */
+function sanitizeToFragment(html, options) {
+  const config = { ...DEFAULT_SANITIZE_OPTIONS, ...options };
+  const allowedTags = new Set(config.allowedTags.map((tag) => tag.toLowerCase()));
+  const allowedAttributes = new Set(
+    config.allowedAttributes.map((name) => name.toLowerCase())
+  );
+  const report = { elements: [], attributes: [] };
+
+  // Template content is inert: no scripts run and no resources load while parsing
+  const template = document.createElement("template");
+  template.innerHTML = html || "";
+
+  const isAllowedTag = (tag) =>
+    allowedTags.has(tag) || (config.allowCustomElements && tag.includes("-"));
+
+  const isAllowedAttribute = (name) =>
+    !name.startsWith("on") &&
+    (allowedAttributes.has(name) ||
+      config.allowedAttributePrefixes.some((prefix) => name.startsWith(prefix)));
+
+  const sanitizeElement = (el) => {
+    const tag = el.localName.toLowerCase();
+
+    if (DROPPED_TAGS.has(tag)) {
+      report.elements.push({ tag, action: "removed" });
+      el.remove();
+      return;
+    }
+
+    // Children first, since unwrapping moves them out of this element
+    Array.from(el.children).forEach(sanitizeElement);
+
+    Array.from(el.attributes).forEach((attr) => {
+      const name = attr.name.toLowerCase();
+      if (isAllowedAttribute(name) && isSafeAttributeValue(name, attr.value, config)) {
+        return;
+      }
+      report.attributes.push({ tag, name, value: attr.value });
+      el.removeAttribute(attr.name);
+    });
+
+    if (!isAllowedTag(tag)) {
+      report.elements.push({ tag, action: "unwrapped" });
+      el.replaceWith(...el.childNodes);
+    }
+  };
+
+  Array.from(template.content.children).forEach(sanitizeElement);
+
+  return { fragment: template.content, report };
+}
+
+/**
+ * Check URL-bearing and style attributes for script-capable values.
+ * @param {string} name - Lowercased attribute name
+ * @param {string} value - Attribute value
+ * @param {Object} config - Sanitizer options
+ * @returns {boolean}
+ */
+function isSafeAttributeValue(name, value, config) {
+  if (name === "style") {
+    return !/javascript:|expression\s*\(/i.test(value);
+  }
+  if (name === "srcset") {
+    return value
+      .split(",")
+      .map((candidate) => candidate.trim().split(/\s+/)[0])
+      .every((url) => !url || isSafeUrl(url, config));
+  }
+  if (URL_ATTRIBUTES.has(name)) {
+    return isSafeUrl(value, config);
+  }
+  return true;
+}
+
+/**
+ * Allow relative URLs, fragments, allowlisted schemes and (optionally) image data URLs.
+ * @param {string} url - URL as written in the markup
+ * @param {Object} config - Sanitizer options
+ * @returns {boolean}
+ */
+function isSafeUrl(url, config) {
+  // Browsers ignore control characters and whitespace inside the scheme
+  const normalized = url.replace(/[\u0000- \u007f]/g, "").toLowerCase();
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/)?.[1];
+  if (!scheme) return true;
+  if (scheme === "data") {
+    return config.allowDataImages && normalized.startsWith("data:image/");
+  }
+  return config.allowedUrlSchemes.includes(`${scheme}:`);
 }
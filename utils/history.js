@@ -0,0 +1,122 @@
+// utils/history.js
+// Per-tab history of extractions and remixes, kept in chrome.storage.session
+// so it survives service worker restarts and the popup being closed.
+// Owned by the background service worker; other contexts go through messages.
+
+/**
+ * History entry schema:
+ * {
+ *   id: string
+ *   kind: "extraction" | "remix"
+ *   label: string (short description of the extracted element, e.g. "div.card")
+ *   prompt: string (remix prompt; "" for extractions)
+ *   url: string (page the component came from)
+ *   title: string (page title)
+ *   original: Object (extracted component as returned by the content script)
+ *   variants: Array<{html: string, css: string, description: string, parameters: Object | null}>
+ *   lineage: Array (remix/refinement tree so far; LineageNode in utils/storage.js)
+ *   createdAt: number (timestamp)
+ * }
+ */
+
+// Entries kept per tab, newest first
+export const HISTORY_LIMIT = 10;
+
+const KEY_PREFIX = "creHistory:";
+
+// Writes are read-modify-write, so run them one at a time
+let writeQueue = Promise.resolve();
+
+function historyKey(tabId) {
+  return `${KEY_PREFIX}${tabId}`;
+}
+
+function setSessionStorage(items) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.session.set(items, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+function createId() {
+  return (
+    "hist-" +
+    Math.random().toString(36).slice(2, 8) +
+    "-" +
+    Date.now().toString(36).slice(-4)
+  );
+}
+
+/**
+ * Get the history for a tab, newest entry first.
+ * @param {number} tabId - Tab the entries were recorded in
+ * @returns {Promise<Array>} History entries
+ */
+export async function getTabHistory(tabId) {
+  const key = historyKey(tabId);
+  return new Promise((resolve) => {
+    chrome.storage.session.get([key], (result) => {
+      resolve(result?.[key] || []);
+    });
+  });
+}
+
+/**
+ * Add an entry to a tab's history, keeping the newest HISTORY_LIMIT entries.
+ * storage.session has a size quota, so older entries are dropped until the
+ * history fits.
+ * @param {number} tabId - Tab the entry belongs to
+ * @param {Object} partial - Entry data (kind, label, prompt, url, title, original, variants, lineage)
+ * @returns {Promise<Object>} The stored entry
+ */
+export function recordHistoryEntry(tabId, partial) {
+  const entry = {
+    id: createId(),
+    kind: partial.kind === "remix" ? "remix" : "extraction",
+    label: partial.label || "",
+    prompt: partial.prompt || "",
+    url: partial.url || "",
+    title: partial.title || "",
+    original: partial.original,
+    variants: partial.variants || [],
+    lineage: partial.lineage || [],
+    createdAt: Date.now(),
+  };
+
+  const write = async () => {
+    let entries = [entry, ...(await getTabHistory(tabId))].slice(
+      0,
+      HISTORY_LIMIT
+    );
+
+    for (;;) {
+      try {
+        await setSessionStorage({ [historyKey(tabId)]: entries });
+        return entry;
+      } catch (error) {
+        if (entries.length <= 1) throw error;
+        entries = entries.slice(0, -1);
+      }
+    }
+  };
+
+  const result = writeQueue.then(write);
+  writeQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Remove a tab's history (e.g. when the tab is closed).
+ * @param {number} tabId - Tab to clear
+ * @returns {Promise<void>}
+ */
+export function clearTabHistory(tabId) {
+  return new Promise((resolve) => {
+    chrome.storage.session.remove([historyKey(tabId)], () => resolve());
+  });
+}
@@ -0,0 +1,97 @@
+// utils/presets.js
+// Prompt presets: reusable remix prompts that may contain {{variable}}
+// placeholders, which the sidebar asks for before sending. Presets are stored
+// through utils/storage.js; this module fills in their variables and reads and
+// writes the JSON files teams use to share a set of presets.
+
+// {{brandColor}}; whitespace inside the braces is allowed
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+// Written to exported files; files from newer versions are still read if they have presets
+export const PRESET_FILE_VERSION = 1;
+
+// Presets are kept in storage.local (unlimitedStorage), so these only keep prompts readable
+export const PRESET_NAME_MAX_LENGTH = 80;
+export const PRESET_PROMPT_MAX_LENGTH = 2000;
+
+/**
+ * List the variables a preset prompt uses, in order of first use.
+ * @param {string} prompt - Preset prompt, e.g. "Use {{brandColor}} for buttons"
+ * @returns {string[]} Variable names, e.g. ["brandColor"]
+ */
+export function listPresetVariables(prompt) {
+  const names = Array.from(String(prompt || "").matchAll(VARIABLE_PATTERN), (m) => m[1]);
+  return Array.from(new Set(names));
+}
+
+/**
+ * Replace a prompt's variables with their values. Variables without a value are left as they are.
+ * @param {string} prompt - Preset prompt
+ * @param {Object<string, string>} values - Variable name -> value
+ * @returns {string}
+ */
+export function fillPresetVariables(prompt, values) {
+  return String(prompt || "").replace(VARIABLE_PATTERN, (match, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match
+  );
+}
+
+/**
+ * Check a preset's name and prompt.
+ * @param {{name: string, prompt: string}} preset - Preset to check
+ * @returns {string|null} Error message, or null when the preset is valid
+ */
+export function validatePreset({ name, prompt } = {}) {
+  if (typeof name !== "string" || !name.trim()) return "A preset needs a name.";
+  if (typeof prompt !== "string" || !prompt.trim()) return "A preset needs a prompt.";
+  if (name.trim().length > PRESET_NAME_MAX_LENGTH) {
+    return `Preset names can be up to ${PRESET_NAME_MAX_LENGTH} characters.`;
+  }
+  if (prompt.trim().length > PRESET_PROMPT_MAX_LENGTH) {
+    return `Preset prompts can be up to ${PRESET_PROMPT_MAX_LENGTH} characters.`;
+  }
+  return null;
+}
+
+/**
+ * Serialize presets for sharing. Ids and timestamps are left out, since they
+ * only mean something in the library they came from.
+ * @param {Array<{name: string, prompt: string}>} presets - Stored presets
+ * @returns {string} JSON, e.g. {"version": 1, "presets": [{"name": ..., "prompt": ...}]}
+ */
+export function serializePresets(presets) {
+  return JSON.stringify(
+    {
+      version: PRESET_FILE_VERSION,
+      presets: presets.map(({ name, prompt }) => ({ name, prompt })),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Read a shared presets file. A bare array of presets is accepted too.
+ * @param {string} text - File contents
+ * @returns {Array<{name: string, prompt: string}>} Presets, names and prompts trimmed
+ * @throws {Error} If the file is not JSON or a preset in it is invalid
+ */
+export function parsePresetFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON.");
+  }
+
+  const presets = Array.isArray(data) ? data : data?.presets;
+  if (!Array.isArray(presets)) {
+    throw new Error('Expected a "presets" array.');
+  }
+
+  return presets.map((preset, idx) => {
+    const invalid = validatePreset(preset);
+    if (invalid) throw new Error(`Preset ${idx + 1}: ${invalid}`);
+    return { name: preset.name.trim(), prompt: preset.prompt.trim() };
+  });
+}
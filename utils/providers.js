@@ -0,0 +1,369 @@
+// utils/providers.js
+// AI backends used for remixing. Each provider turns a system/user prompt pair
+// into the model's text reply, optionally streaming it as it is generated;
+// prompt building and response parsing stay in utils/ai.js.
+// No chrome.* APIs here, so the popup can import the provider list for its
+// settings form.
+
+/**
+ * @typedef {Object} ProviderConfig
+ * @property {string} baseUrl - API root, e.g. "https://api.openai.com/v1"
+ * @property {string} model - Model name
+ * @property {string} [apiKey] - Key for providers that need one
+ */
+
+/**
+ * @typedef {Object} CompletionRequest
+ * @property {string} system - System prompt
+ * @property {string} user - User prompt
+ * @property {number} temperature - Sampling temperature
+ * @property {number} maxTokens - Response size limit
+ * @property {boolean} [json] - Ask for a JSON object (response_format on api.openai.com, Ollama format)
+ */
+
+/**
+ * @typedef {Object} CompletionOptions
+ * @property {AbortSignal} [signal] - Cancels the request
+ * @property {(text: string) => void} [onText] - Streams the reply; called with each new piece of text
+ */
+
+/**
+ * @typedef {Object} AIProvider
+ * @property {string} id - Stored in settings (creSettings.aiProvider)
+ * @property {string} label - Shown in the popup and in error messages
+ * @property {string} defaultBaseUrl - Used when no base URL is configured
+ * @property {string} defaultModel - Used when no model is configured
+ * @property {boolean} requiresApiKey - Whether requests fail without a key
+ * @property {(request: CompletionRequest, config: ProviderConfig, options?: CompletionOptions) => Promise<string>} complete
+ *   Resolves with the whole reply; streams it through options.onText when given
+ */
+
+/**
+ * POST a JSON body and return the response once its status is known to be OK.
+ * @param {string} url - Endpoint
+ * @param {Object} headers - Extra request headers
+ * @param {Object} body - Request body
+ * @param {string} label - Provider label for error messages
+ * @param {(data: Object) => string|undefined} getErrorMessage - Pulls the message out of an error body
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Response>} The response, body unread
+ * @throws {Error} On network errors and non-2xx responses; the latter carry
+ *   the HTTP status and, when the server sent Retry-After, retryAfterMs
+ */
+async function postJson(url, headers, body, label, getErrorMessage, signal) {
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    throw new Error(
+      `Network error: Could not reach ${label} at ${new URL(url).origin}.`
+    );
+  }
+
+  if (!resp.ok) {
+    const text = await resp.text();
+    let errorMsg = `${label} API error (${resp.status})`;
+
+    // Try to extract meaningful error message
+    try {
+      errorMsg = getErrorMessage(JSON.parse(text)) || errorMsg;
+    } catch {
+      // If parsing fails, use the raw text (truncated)
+      if (text) {
+        errorMsg = text.length > 100 ? text.substring(0, 100) + "..." : text;
+      }
+    }
+
+    const error = new Error(errorMsg);
+    error.status = resp.status;
+    const retryAfterMs = parseRetryAfter(resp.headers.get("retry-after"));
+    if (retryAfterMs !== null) error.retryAfterMs = retryAfterMs;
+    throw error;
+  }
+
+  return resp;
+}
+
+/**
+ * Parse a Retry-After header, given either in seconds or as an HTTP date.
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in ms, or null when absent or unreadable
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Read a streamed response body line by line.
+ * @param {Response} resp - Response with a readable body
+ * @param {(line: string) => void} onLine - Called with each complete line
+ * @returns {Promise<void>} Resolves when the body ends
+ */
+async function readLines(resp, onLine) {
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+
+    const lines = buffer.split(/\r?\n/);
+    buffer = done ? "" : lines.pop();
+    lines.forEach(onLine);
+
+    if (done) return;
+  }
+}
+
+/**
+ * Read a server-sent events body, passing each event's parsed JSON data on.
+ * Only the data fields are used; the providers here repeat the event type in it.
+ * @param {Response} resp - text/event-stream response
+ * @param {(data: Object) => void} onData - Called with each event's data
+ * @returns {Promise<void>}
+ */
+function readServerSentEvents(resp, onData) {
+  return readLines(resp, (line) => {
+    if (!line.startsWith("data:")) return;
+    const data = line.slice(5).trim();
+    if (!data || data === "[DONE]") return;
+    onData(JSON.parse(data));
+  });
+}
+
+/**
+ * Join a base URL and an endpoint path without doubling slashes.
+ * @param {string} baseUrl - API root
+ * @param {string} path - Endpoint path, starting with "/"
+ * @returns {string}
+ */
+function endpoint(baseUrl, path) {
+  return baseUrl.replace(/\/+$/, "") + path;
+}
+
+// Only OpenAI itself is known to take response_format {type: "json_object"};
+// other compatible servers (LM Studio, for one) reject it with a 400
+function supportsJsonMode(baseUrl) {
+  try {
+    return new URL(baseUrl).hostname === "api.openai.com";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * OpenAI Chat Completions, or any server exposing the same API
+ * (Azure-style proxies, LM Studio, vLLM, llama.cpp server, ...).
+ * @type {AIProvider}
+ */
+const openAICompatibleProvider = {
+  id: "openai",
+  label: "OpenAI-compatible",
+  defaultBaseUrl: "https://api.openai.com/v1",
+  defaultModel: "gpt-3.5-turbo",
+  requiresApiKey: false, // local servers usually run without one
+  async complete(
+    { system, user, temperature, maxTokens, json },
+    config,
+    { signal, onText } = {}
+  ) {
+    const resp = await postJson(
+      endpoint(config.baseUrl, "/chat/completions"),
+      config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {},
+      {
+        model: config.model,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: user },
+        ],
+        temperature,
+        max_tokens: maxTokens,
+        // JSON mode; the prompts mention JSON, as the API requires
+        ...(json && supportsJsonMode(config.baseUrl)
+          ? { response_format: { type: "json_object" } }
+          : {}),
+        ...(onText ? { stream: true } : {}),
+      },
+      this.label,
+      (errorData) => errorData.error?.message,
+      signal
+    );
+
+    if (!onText) {
+      const data = await resp.json();
+      return data?.choices?.[0]?.message?.content;
+    }
+
+    let content = "";
+    await readServerSentEvents(resp, (data) => {
+      const text = data?.choices?.[0]?.delta?.content;
+      if (!text) return;
+      content += text;
+      onText(text);
+    });
+    return content;
+  },
+};
+
+/**
+ * Anthropic Messages API.
+ * @type {AIProvider}
+ */
+const anthropicProvider = {
+  id: "anthropic",
+  label: "Anthropic",
+  defaultBaseUrl: "https://api.anthropic.com/v1",
+  defaultModel: "claude-3-5-haiku-latest",
+  requiresApiKey: true,
+  async complete(
+    { system, user, temperature, maxTokens },
+    config,
+    { signal, onText } = {}
+  ) {
+    const resp = await postJson(
+      endpoint(config.baseUrl, "/messages"),
+      {
+        "x-api-key": config.apiKey,
+        "anthropic-version": "2023-06-01",
+        // Extension requests carry an Origin header, which the API treats as a browser
+        "anthropic-dangerous-direct-browser-access": "true",
+      },
+      {
+        model: config.model,
+        system,
+        messages: [{ role: "user", content: user }],
+        temperature,
+        max_tokens: maxTokens,
+        ...(onText ? { stream: true } : {}),
+      },
+      this.label,
+      (errorData) => errorData.error?.message,
+      signal
+    );
+
+    if (!onText) {
+      const data = await resp.json();
+      return (data?.content || [])
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join("");
+    }
+
+    let content = "";
+    await readServerSentEvents(resp, (data) => {
+      // Errors after the stream has started arrive as events
+      if (data?.type === "error") {
+        const error = new Error(data.error?.message || `${this.label} stream error`);
+        // Same as the HTTP status for an overloaded API, so the request is retried
+        if (data.error?.type === "overloaded_error") error.status = 529;
+        throw error;
+      }
+      if (data?.type !== "content_block_delta") return;
+      const text = data.delta?.text;
+      if (!text) return;
+      content += text;
+      onText(text);
+    });
+    return content;
+  },
+};
+
+/**
+ * Local Ollama server (native /api/chat endpoint).
+ * @type {AIProvider}
+ */
+const ollamaProvider = {
+  id: "ollama",
+  label: "Ollama",
+  defaultBaseUrl: "http://localhost:11434",
+  defaultModel: "llama3.1",
+  requiresApiKey: false,
+  async complete(
+    { system, user, temperature, maxTokens, json },
+    config,
+    { signal, onText } = {}
+  ) {
+    const resp = await postJson(
+      endpoint(config.baseUrl, "/api/chat"),
+      config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {},
+      {
+        model: config.model,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: user },
+        ],
+        stream: Boolean(onText),
+        ...(json ? { format: "json" } : {}),
+        options: { temperature, num_predict: maxTokens },
+      },
+      this.label,
+      (errorData) => errorData.error,
+      signal
+    );
+
+    if (!onText) {
+      const data = await resp.json();
+      return data?.message?.content;
+    }
+
+    // Ollama streams newline-delimited JSON rather than server-sent events
+    let content = "";
+    await readLines(resp, (line) => {
+      if (!line.trim()) return;
+      const data = JSON.parse(line);
+      if (data.error) throw new Error(data.error);
+      const text = data.message?.content;
+      if (!text) return;
+      content += text;
+      onText(text);
+    });
+    return content;
+  },
+};
+
+export const AI_PROVIDERS = [
+  openAICompatibleProvider,
+  anthropicProvider,
+  ollamaProvider,
+];
+
+export const DEFAULT_PROVIDER_ID = openAICompatibleProvider.id;
+
+/**
+ * Look up a provider by id, falling back to the default provider.
+ * @param {string} id - Provider id from settings
+ * @returns {AIProvider}
+ */
+export function getProvider(id) {
+  return (
+    AI_PROVIDERS.find((provider) => provider.id === id) ||
+    openAICompatibleProvider
+  );
+}
+
+/**
+ * Resolve the active provider and its connection settings from creSettings.
+ * Empty base URL and model fields fall back to the provider defaults.
+ * @param {Object} settings - creSettings from chrome.storage.sync
+ * @returns {{provider: AIProvider, baseUrl: string, model: string}}
+ */
+export function resolveProviderSettings(settings = {}) {
+  const provider = getProvider(settings.aiProvider);
+  const stored = settings.aiProviderSettings?.[provider.id] || {};
+  return {
+    provider,
+    baseUrl: stored.baseUrl?.trim() || provider.defaultBaseUrl,
+    model: stored.model?.trim() || provider.defaultModel,
+  };
+}
@@ -0,0 +1,466 @@
+// utils/queue.js
+// Queue for the AI requests made by the background service worker. Every
+// request gets an id and its own AbortController and timeout, and is retried
+// with exponential backoff (honouring Retry-After) when the provider is rate
+// limited or briefly unavailable. Requests are mirrored in
+// chrome.storage.session, so one interrupted by the service worker being
+// suspended is run again when its client asks for it by id, and a finished
+// one still delivers its result.
+// Owned by the background service worker; other contexts go through messages.
+
+/**
+ * Request record (chrome.storage.session, one item per request under creRequest:<id>):
+ * {
+ *   id: string
+ *   kind: string (handler registered with registerRequestHandler, e.g. "remix")
+ *   payload: Object (handler input)
+ *   status: "queued" | "running" | "retrying" | "done" | "failed" | "cancelled"
+ *   attempts: number
+ *   timeoutMs: number (per attempt)
+ *   result: any (when done)
+ *   error: {name: string, message: string, status?: number} (when failed)
+ *   createdAt: number (timestamp)
+ *   updatedAt: number (timestamp)
+ * }
+ *
+ * Listeners receive the request's events, each with requestId:
+ *   {type: "queued", position}       waiting; position 1 runs next
+ *   {type: "started", attempt}       attempt 1, then one per retry
+ *   {type: "retrying", attempt, delayMs, error}
+ *   ...events the handler emits (e.g. streamed variants)
+ *   {type: "done", result} | {type: "failed", error} | {type: "cancelled"}
+ */
+
+export const DEFAULT_TIMEOUT_MS = 90 * 1000;
+
+// Requests sent to the provider at the same time; the rest wait in order
+const MAX_CONCURRENT = 2;
+
+// First attempt plus retries
+const MAX_ATTEMPTS = 4;
+
+// Backoff doubles from BACKOFF_BASE_MS per retry, up to BACKOFF_MAX_MS
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30 * 1000;
+
+// A longer Retry-After fails the request instead of leaving it waiting
+const MAX_RETRY_AFTER_MS = 2 * 60 * 1000;
+
+// HTTP statuses worth retrying: timeouts, rate limits, overloaded servers
+const RETRY_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504, 529]);
+
+// Finished requests, and interrupted ones nobody resumed, are dropped after this
+const RECORD_TTL_MS = 10 * 60 * 1000;
+
+// Extension API calls reset the service worker's idle timer while requests run
+const KEEPALIVE_INTERVAL_MS = 20 * 1000;
+
+// Changes to a record within this long are written together; final states are written at once
+const PERSIST_THROTTLE_MS = 1000;
+
+const KEY_PREFIX = "creRequest:";
+
+const FINAL_STATUSES = new Set(["done", "failed", "cancelled"]);
+
+// kind -> async (payload, {signal, emit}) => result
+const handlers = new Map();
+
+// id -> {record, listeners: Set, controller, wake, position} for requests known to this worker
+const jobs = new Map();
+
+// Ids of queued requests, oldest first
+const waiting = [];
+let running = 0;
+let keepaliveTimer = null;
+
+// id -> latest record not yet written, and the timer that writes them
+const unsavedRecords = new Map();
+let persistTimer = null;
+
+// Records left behind by a suspended worker are dropped on the first write
+let expiredPruned = false;
+
+// Run writes one at a time, so an older snapshot never overwrites a newer one
+let writeQueue = Promise.resolve();
+
+function createId() {
+  return (
+    "req-" +
+    Math.random().toString(36).slice(2, 8) +
+    "-" +
+    Date.now().toString(36).slice(-4)
+  );
+}
+
+function recordKey(id) {
+  return `${KEY_PREFIX}${id}`;
+}
+
+function getStoredRecord(id) {
+  const key = recordKey(id);
+  return new Promise((resolve) => {
+    chrome.storage.session.get([key], (result) => {
+      resolve(result?.[key] || null);
+    });
+  });
+}
+
+function setSessionStorage(items) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.session.set(items, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+function removeSessionStorage(keys) {
+  return new Promise((resolve) => {
+    chrome.storage.session.remove(keys, () => resolve());
+  });
+}
+
+function isActive(id) {
+  const job = jobs.get(id);
+  return Boolean(job) && !FINAL_STATUSES.has(job.record.status);
+}
+
+// Finished requests, and interrupted ones nobody resumed, whose TTL has passed
+async function pruneExpiredRecords() {
+  const stored = await new Promise((resolve) => {
+    chrome.storage.session.get(null, (result) => resolve(result || {}));
+  });
+  const cutoff = Date.now() - RECORD_TTL_MS;
+  const expired = Object.entries(stored)
+    .filter(
+      ([key, record]) =>
+        key.startsWith(KEY_PREFIX) && record.updatedAt < cutoff && !isActive(record.id)
+    )
+    .map(([key]) => key);
+  if (expired.length) await removeSessionStorage(expired);
+}
+
+// Failures are logged; the in-memory requests carry on regardless
+function enqueueWrite(write) {
+  writeQueue = writeQueue.then(write).catch((error) => {
+    console.error("CRE: Failed to persist request:", error);
+  });
+}
+
+function flushRecords() {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  const items = {};
+  unsavedRecords.forEach((record, id) => {
+    items[recordKey(id)] = record;
+  });
+  unsavedRecords.clear();
+
+  enqueueWrite(async () => {
+    if (!expiredPruned) {
+      expiredPruned = true;
+      await pruneExpiredRecords();
+    }
+    await setSessionStorage(items);
+  });
+}
+
+/**
+ * Mirror a record in storage.session. Only that record's item is written, and
+ * changes that follow each other quickly are coalesced into one write.
+ * @param {Object} record - Request record
+ */
+function persistRecord(record) {
+  unsavedRecords.set(record.id, { ...record });
+  if (FINAL_STATUSES.has(record.status)) {
+    flushRecords();
+  } else if (!persistTimer) {
+    persistTimer = setTimeout(flushRecords, PERSIST_THROTTLE_MS);
+  }
+}
+
+function updateRecord(job, changes) {
+  Object.assign(job.record, changes, { updatedAt: Date.now() });
+  persistRecord(job.record);
+}
+
+function notify(job, event) {
+  job.listeners.forEach((listener) => {
+    try {
+      listener({ ...event, requestId: job.record.id });
+    } catch (error) {
+      // A listener whose port has closed must not stop the request
+      console.error("CRE: Request listener error:", error);
+    }
+  });
+}
+
+// Errors cross message boundaries and storage, so keep them as plain objects
+function serializeError(error) {
+  return {
+    name: error?.name || "Error",
+    message: error?.message || String(error),
+    ...(error?.status ? { status: error.status } : {}),
+  };
+}
+
+/**
+ * Work out how long to wait before retrying a failed attempt.
+ * @param {Error} error - Error from the handler (providers set status and retryAfterMs)
+ * @param {number} attempt - Attempt that failed, from 1
+ * @returns {number|null} Delay in ms, or null when the request should fail
+ */
+function getRetryDelay(error, attempt) {
+  if (attempt >= MAX_ATTEMPTS || !RETRY_STATUSES.has(error?.status)) return null;
+
+  if (Number.isFinite(error.retryAfterMs)) {
+    return error.retryAfterMs <= MAX_RETRY_AFTER_MS
+      ? Math.max(error.retryAfterMs, 0)
+      : null;
+  }
+
+  // Full backoff for this attempt, half of it randomized so clients spread out
+  const backoff = Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+  return Math.round(backoff / 2 + (Math.random() * backoff) / 2);
+}
+
+// Only while requests are queued or running; an idle worker may be suspended
+function updateKeepalive() {
+  const busy = Array.from(jobs.keys()).some(isActive);
+  if (busy && !keepaliveTimer) {
+    keepaliveTimer = setInterval(
+      () => chrome.runtime.getPlatformInfo(() => {}),
+      KEEPALIVE_INTERVAL_MS
+    );
+  } else if (!busy && keepaliveTimer) {
+    clearInterval(keepaliveTimer);
+    keepaliveTimer = null;
+  }
+}
+
+function pumpQueue() {
+  while (running < MAX_CONCURRENT && waiting.length) {
+    const job = jobs.get(waiting.shift());
+    if (!job || job.record.status !== "queued") continue;
+    running++;
+    runJob(job).finally(() => {
+      running--;
+      pumpQueue();
+    });
+  }
+  waiting.forEach((id, index) => {
+    const job = jobs.get(id);
+    if (!job || job.position === index + 1) return;
+    job.position = index + 1;
+    notify(job, { type: "queued", position: job.position });
+  });
+  updateKeepalive();
+}
+
+function settle(job, status, changes, event) {
+  job.controller = null;
+  updateRecord(job, { status, ...changes });
+  notify(job, event);
+  updateKeepalive();
+  // The stored record still answers subscribers until it expires
+  setTimeout(() => {
+    jobs.delete(job.record.id);
+    enqueueWrite(() => removeSessionStorage(recordKey(job.record.id)));
+  }, RECORD_TTL_MS);
+}
+
+/**
+ * Run a request until it succeeds, fails for good or is cancelled.
+ * @param {Object} job - Entry from jobs
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  const { record } = job;
+  const handler = handlers.get(record.kind);
+  if (!handler) {
+    const error = serializeError(new Error(`No handler for ${record.kind} requests.`));
+    settle(job, "failed", { error }, { type: "failed", error });
+    return;
+  }
+
+  for (;;) {
+    const controller = new AbortController();
+    job.controller = controller;
+    updateRecord(job, { status: "running", attempts: record.attempts + 1 });
+    notify(job, { type: "started", attempt: record.attempts });
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, record.timeoutMs);
+
+    let failure;
+    try {
+      const result = await handler(record.payload, {
+        signal: controller.signal,
+        emit: (event) => {
+          if (!controller.signal.aborted) notify(job, event);
+        },
+      });
+      if (record.status === "cancelled") return;
+      settle(job, "done", { result }, { type: "done", result });
+      return;
+    } catch (error) {
+      failure = error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    // cancelRequest has already settled the request
+    if (record.status === "cancelled") return;
+
+    if (timedOut) {
+      failure = new Error(
+        `The AI provider did not respond within ${Math.round(record.timeoutMs / 1000)} seconds.`
+      );
+      failure.name = "TimeoutError";
+    }
+
+    const error = serializeError(failure);
+    const delayMs = getRetryDelay(failure, record.attempts);
+    if (delayMs === null) {
+      settle(job, "failed", { error }, { type: "failed", error });
+      return;
+    }
+
+    updateRecord(job, { status: "retrying" });
+    notify(job, {
+      type: "retrying",
+      attempt: record.attempts,
+      delayMs,
+      error,
+    });
+
+    // Sleep, unless the request is cancelled in the meantime
+    await new Promise((resolve) => {
+      const sleep = setTimeout(resolve, delayMs);
+      job.wake = () => {
+        clearTimeout(sleep);
+        resolve();
+      };
+    });
+    job.wake = null;
+    if (record.status === "cancelled") return;
+  }
+}
+
+function enqueueJob(job) {
+  job.record.status = "queued";
+  updateRecord(job, {});
+  waiting.push(job.record.id);
+  // Deferred, so the caller has the request id before its first event
+  queueMicrotask(pumpQueue);
+}
+
+/**
+ * Register the function that runs requests of a kind. Register every kind
+ * when the service worker starts, so interrupted requests can be resumed.
+ * @param {string} kind - Request kind, e.g. "remix"
+ * @param {(payload: Object, context: {signal: AbortSignal, emit: (event: Object) => void}) => Promise<any>} handler
+ *   Resolves with the request's result; emit() sends progress events to listeners
+ */
+export function registerRequestHandler(kind, handler) {
+  handlers.set(kind, handler);
+}
+
+/**
+ * Queue a request.
+ * @param {string} kind - Registered request kind
+ * @param {Object} payload - Handler input; must survive structured cloning into storage
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Limit per attempt
+ * @param {(event: Object) => void} [options.onEvent] - Receives the request's events
+ * @returns {string} Request id
+ */
+export function enqueueRequest(
+  kind,
+  payload,
+  { timeoutMs = DEFAULT_TIMEOUT_MS, onEvent } = {}
+) {
+  const now = Date.now();
+  const job = {
+    record: {
+      id: createId(),
+      kind,
+      payload,
+      status: "queued",
+      attempts: 0,
+      timeoutMs,
+      createdAt: now,
+      updatedAt: now,
+    },
+    listeners: new Set(onEvent ? [onEvent] : []),
+    controller: null,
+    wake: null,
+  };
+  jobs.set(job.record.id, job);
+  enqueueJob(job);
+  return job.record.id;
+}
+
+/**
+ * Listen to a request by id, e.g. after reconnecting to a service worker that
+ * was suspended. A finished request replays its final event; one that was
+ * interrupted by the suspension is queued again.
+ * @param {string} id - Request id
+ * @param {(event: Object) => void} listener - Receives the request's events
+ * @returns {Promise<boolean>} False if the request is unknown or has expired
+ */
+export async function subscribeRequest(id, listener) {
+  let job = jobs.get(id);
+  if (!job) {
+    const record = await getStoredRecord(id);
+    // Another subscriber may have restored it while storage was read
+    job = jobs.get(id);
+    if (!record && !job) return false;
+    if (!job) {
+      job = { record, listeners: new Set(), controller: null, wake: null };
+      jobs.set(id, job);
+      if (!FINAL_STATUSES.has(record.status)) enqueueJob(job);
+    }
+  }
+
+  job.listeners.add(listener);
+  const { status, result, error } = job.record;
+  if (status === "done") listener({ type: "done", result, requestId: id });
+  if (status === "failed") listener({ type: "failed", error, requestId: id });
+  if (status === "cancelled") listener({ type: "cancelled", requestId: id });
+  return true;
+}
+
+/**
+ * Stop listening to a request. The request itself carries on.
+ * @param {string} id - Request id
+ * @param {(event: Object) => void} listener - Listener passed to enqueueRequest or subscribeRequest
+ */
+export function unsubscribeRequest(id, listener) {
+  jobs.get(id)?.listeners.delete(listener);
+}
+
+/**
+ * Cancel a queued or running request, aborting its fetch.
+ * @param {string} id - Request id
+ * @returns {boolean} False if the request is unknown or already finished
+ */
+export function cancelRequest(id) {
+  const job = jobs.get(id);
+  if (!job || FINAL_STATUSES.has(job.record.status)) return false;
+
+  const index = waiting.indexOf(id);
+  if (index >= 0) waiting.splice(index, 1);
+
+  const { controller, wake } = job;
+  settle(job, "cancelled", {}, { type: "cancelled" });
+  controller?.abort();
+  wake?.();
+  return true;
+}
@@ -1,5 +1,6 @@
 // utils/storage.js
-// Helpers around chrome.storage.sync for persisting component library entries.
+// Helpers around chrome.storage.local for persisting component library entries
+// and prompt presets.
 
 /**
  * Component schema:
@@ -9,41 +10,109 @@
  *   tags: string[] (array of tag strings for search/filtering)
  *   originalHTML: string (extracted HTML from webpage)
  *   originalCSS: string (extracted/computed CSS)
- *   remixedVariants: Array<{html: string, css: string, description: string}> (AI-generated variants)
+ *   breakpoints: string[] (media query conditions captured by responsive extraction)
+ *   viewportWidth: number | null (window width at extraction time)
+ *   assets: {external: string[], inlined: string[]} (asset URLs referenced by the component)
+ *   tokens: Object<string, string> (CSS custom properties the component references, with resolved values)
+ *   remixedVariants: Array<{html: string, css: string, description: string, parameters: Object | null}> (AI-generated variants)
+ *   lineage: Array<LineageNode> (every remix and refinement, as a tree; see below)
+ *   lineageNodeId: string | null (lineage node the generated code was made from; null for the original)
  *   generatedCode: string (framework-specific code output)
  *   framework: "react" | "vue" | "html" (target framework)
  *   createdAt: number (timestamp)
  *   updatedAt: number (timestamp)
  * }
+ *
+ * LineageNode (a flat list; parentId links the nodes into a tree rooted at the original):
+ * {
+ *   id: string
+ *   parentId: string | null (variant this one refines; null for a remix of the original)
+ *   prompt: string (remix prompt that produced this variant)
+ *   description: string
+ *   html: string
+ *   css: string
+ *   parameters: Object | null (RemixParameters from utils/ai.js, plus the provider id, used to generate it)
+ *   createdAt: number (timestamp)
+ * }
+ *
+ * Preset schema (prompt presets, see utils/presets.js):
+ * {
+ *   id: string
+ *   name: string
+ *   prompt: string (remix prompt; may contain {{variable}} placeholders)
+ *   createdAt: number (timestamp)
+ *   updatedAt: number (timestamp)
+ * }
  */
 
+// Both live in chrome.storage.local: lineage, assets and tokens soon outgrow
+// storage.sync's 8 KB per item (100 KB total) quota, and so does a shared set
+// of presets at the allowed prompt length.
 const STORAGE_KEY = "creComponents";
+const PRESETS_KEY = "crePresets";
 
-function withSyncStorage(getter) {
+function withStorage(getter, key) {
   return new Promise((resolve) => {
-    if (!chrome?.storage?.sync) {
+    if (!chrome?.storage?.local) {
       resolve(getter({}));
       return;
     }
-    chrome.storage.sync.get([STORAGE_KEY], (result) => {
+    chrome.storage.local.get([key], (result) => {
       resolve(getter(result || {}));
     });
   });
 }
 
-function setSyncStorage(data) {
-  return new Promise((resolve) => {
-    if (!chrome?.storage?.sync) {
+function setStorage(data, key) {
+  return new Promise((resolve, reject) => {
+    if (!chrome?.storage?.local) {
       resolve();
       return;
     }
-    chrome.storage.sync.set({ [STORAGE_KEY]: data }, () => resolve());
+    chrome.storage.local.set({ [key]: data }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
   });
 }
 
-function createId() {
+// Earlier versions kept the library and presets in storage.sync; move each over once
+const migrations = new Map();
+
+function migrateFromSync(key) {
+  if (!migrations.has(key)) {
+    const migration = (async () => {
+      if (!chrome?.storage?.sync) return;
+      const synced = await new Promise((resolve) => {
+        chrome.storage.sync.get([key], (result) => resolve(result?.[key]));
+      });
+      if (!Array.isArray(synced)) return;
+      const local = await withStorage((raw) => raw[key] || [], key);
+      const localIds = new Set(local.map((item) => item.id));
+      await setStorage([...local, ...synced.filter((item) => !localIds.has(item.id))], key);
+      await new Promise((resolve) => chrome.storage.sync.remove(key, resolve));
+    })().catch((err) => {
+      // Try again next time; the synced copy is only removed once the local one is written
+      migrations.delete(key);
+      console.warn(`CRE: Failed to move ${key} to local storage:`, err);
+    });
+    migrations.set(key, migration);
+  }
+  return migrations.get(key);
+}
+
+async function getStoredList(key) {
+  await migrateFromSync(key);
+  return withStorage((raw) => raw[key] || [], key);
+}
+
+function createId(prefix = "cre") {
   return (
-    "cre-" +
+    prefix +
+    "-" +
     Math.random().toString(36).slice(2, 8) +
     "-" +
     Date.now().toString(36).slice(-4)
@@ -51,11 +120,11 @@ function createId() {
 }
 
 /**
- * Retrieve all saved components from chrome.storage.sync.
+ * Retrieve all saved components from chrome.storage.local.
  * @returns {Promise<Array>} Array of component objects
  */
 export async function getAllComponents() {
-  return withSyncStorage((raw) => raw[STORAGE_KEY] || []);
+  return getStoredList(STORAGE_KEY);
 }
 
 /**
@@ -72,14 +141,20 @@ export async function saveComponent(partial) {
     tags: partial.tags || [],
     originalHTML: partial.originalHTML || "",
     originalCSS: partial.originalCSS || "",
+    breakpoints: partial.breakpoints || [],
+    viewportWidth: partial.viewportWidth || null,
+    assets: partial.assets || { external: [], inlined: [] },
+    tokens: partial.tokens || {},
     remixedVariants: partial.remixedVariants || [],
+    lineage: partial.lineage || [],
+    lineageNodeId: partial.lineageNodeId || null,
     generatedCode: partial.generatedCode || "",
     framework: partial.framework || "react",
     createdAt: now,
     updatedAt: now,
   };
   const next = [...current, entry];
-  await setSyncStorage(next);
+  await setStorage(next, STORAGE_KEY);
   return entry;
 }
 
@@ -99,7 +174,7 @@ export async function updateComponent(id, patch) {
         }
       : c
   );
-  await setSyncStorage(next);
+  await setStorage(next, STORAGE_KEY);
 }
 
 /**
@@ -109,7 +184,7 @@ export async function updateComponent(id, patch) {
 export async function deleteComponent(id) {
   const current = await getAllComponents();
   const next = current.filter((c) => c.id !== id);
-  await setSyncStorage(next);
+  await setStorage(next, STORAGE_KEY);
 }
 
 /**
@@ -126,3 +201,71 @@ export async function searchComponents(query) {
     return haystack.includes(q);
   });
 }
+
+/**
+ * Retrieve all prompt presets, sorted by name.
+ * @returns {Promise<Array>} Array of preset objects
+ */
+export async function getAllPresets() {
+  const presets = await getStoredList(PRESETS_KEY);
+  return [...presets].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Save a prompt preset: updates the preset with the given id, or adds a new one.
+ * @param {Object} preset - {id?, name, prompt}
+ * @returns {Promise<Object>} The saved preset
+ */
+export async function savePreset({ id, name, prompt }) {
+  const current = await getAllPresets();
+  const now = Date.now();
+  const existing = id ? current.find((p) => p.id === id) : null;
+  const entry = existing
+    ? { ...existing, name, prompt, updatedAt: now }
+    : { id: createId("preset"), name, prompt, createdAt: now, updatedAt: now };
+  const next = existing
+    ? current.map((p) => (p.id === id ? entry : p))
+    : [...current, entry];
+  await setStorage(next, PRESETS_KEY);
+  return entry;
+}
+
+/**
+ * Delete a prompt preset by id.
+ * @param {string} id - Preset id to delete
+ */
+export async function deletePreset(id) {
+  const current = await getAllPresets();
+  await setStorage(
+    current.filter((p) => p.id !== id),
+    PRESETS_KEY
+  );
+}
+
+/**
+ * Merge imported presets into the stored ones. A preset with the same name
+ * (case-insensitive) as a stored one replaces its prompt.
+ * @param {Array<{name: string, prompt: string}>} presets - Validated presets (see parsePresetFile)
+ * @returns {Promise<{added: number, updated: number}>}
+ */
+export async function importPresets(presets) {
+  const next = await getAllPresets();
+  const now = Date.now();
+  let added = 0;
+  let updated = 0;
+
+  presets.forEach(({ name, prompt }) => {
+    const idx = next.findIndex((p) => p.name.toLowerCase() === name.toLowerCase());
+    if (idx >= 0) {
+      if (next[idx].prompt === prompt) return;
+      next[idx] = { ...next[idx], prompt, updatedAt: now };
+      updated++;
+    } else {
+      next.push({ id: createId("preset"), name, prompt, createdAt: now, updatedAt: now });
+      added++;
+    }
+  });
+
+  if (added || updated) await setStorage(next, PRESETS_KEY);
+  return { added, updated };
+}
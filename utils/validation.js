@@ -0,0 +1,362 @@
+// utils/validation.js
+// Checks AI-generated variants before they are accepted: the HTML must parse
+// cleanly, the CSS must be valid, the markup must not need sanitizing, and the
+// structure must still resemble the component that was remixed.
+// Needs a DOM (DOMParser, CSS.supports), so it runs in the content script.
+
+import { sanitizeHtml } from "./dom.js";
+
+// Variants less similar than this to the remixed component fail the structure check
+export const STRUCTURE_SIMILARITY_MIN = 0.5;
+
+// Elements compared by the structure check (larger components are truncated)
+const MAX_COMPARED_ELEMENTS = 400;
+
+// Errors listed per check; the rest are summarized
+const MAX_ERRORS_PER_CHECK = 5;
+
+const VOID_ELEMENTS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta",
+  "source", "track", "wbr",
+]);
+
+// End tags HTML allows to be left out
+const OPTIONAL_END_TAGS = new Set([
+  "li", "p", "dt", "dd", "tr", "td", "th", "option", "optgroup", "thead",
+  "tbody", "tfoot", "colgroup", "rb", "rt", "rp",
+]);
+
+// Elements the parser adds on its own (<tr> directly in <table> gets a <tbody>)
+const IMPLIED_ELEMENTS = new Set(["tbody", "colgroup"]);
+
+// At-rules whose blocks hold descriptors rather than style declarations
+const DESCRIPTOR_AT_RULES = /^@(font-face|page|counter-style|property|font-feature-values)\b/i;
+
+// Vendor-prefixed properties and values (-moz-appearance, display: -webkit-box).
+// Browsers only support their own prefixes, so CSS.supports can't judge them.
+const VENDOR_PREFIX = /(^|[\s,(])-(webkit|moz|ms|o)-/i;
+
+/**
+ * @typedef {Object} ValidationCheck
+ * @property {"html"|"css"|"safe"|"structure"} id
+ * @property {string} label - Short name shown in the sidebar
+ * @property {boolean} passed
+ * @property {string[]} errors - What failed, specific enough to send back to the model
+ */
+
+/**
+ * Validate an AI variant against the component it was generated from.
+ * @param {{html: string, css: string}} variant - Variant as returned by the AI (not sanitized)
+ * @param {{html: string, css: string}} source - Component that was remixed
+ * @returns {ValidationCheck[]} One entry per check
+ */
+export function validateVariant(variant, source) {
+  const html = variant?.html || "";
+  const css = variant?.css || "";
+  const similarity = structureSimilarity(source?.html || "", html);
+
+  return [
+    makeCheck("html", "Valid HTML", checkHtml(html)),
+    makeCheck("css", "Valid CSS", checkCss(css)),
+    makeCheck("safe", "Safe markup", checkSafety(html)),
+    makeCheck(
+      "structure",
+      `Structure ${Math.round(similarity * 100)}%`,
+      similarity < STRUCTURE_SIMILARITY_MIN
+        ? [
+            `Only ${Math.round(similarity * 100)}% of the element structure matches the original; keep its elements and nesting and change what the request asks for.`,
+          ]
+        : []
+    ),
+  ];
+}
+
+/**
+ * List the errors of failed checks, for the repair prompt.
+ * @param {ValidationCheck[]} checks - Result of validateVariant
+ * @returns {string[]} e.g. "Valid HTML: Unclosed <div>"
+ */
+export function describeValidationErrors(checks) {
+  return (checks || [])
+    .filter((check) => !check.passed)
+    .flatMap((check) => check.errors.map((error) => `${check.label}: ${error}`));
+}
+
+function makeCheck(id, label, errors) {
+  const listed = errors.slice(0, MAX_ERRORS_PER_CHECK);
+  if (errors.length > listed.length) {
+    listed.push(`…and ${errors.length - listed.length} more`);
+  }
+  return { id, label, passed: errors.length === 0, errors: listed };
+}
+
+/**
+ * Parse elements from markup the way the browser does.
+ * @param {string} html - Markup fragment
+ * @returns {Element[]} Elements in document order
+ */
+function parseElements(html) {
+  const doc = new DOMParser().parseFromString(
+    `<!DOCTYPE html><body>${html}`,
+    "text/html"
+  );
+  return Array.from(doc.body.querySelectorAll("*"));
+}
+
+/**
+ * Check that every tag is closed and properly nested. DOMParser never fails
+ * on bad markup, it repairs it, so the tags are also matched up directly and
+ * the element count compared with what the parser built.
+ * @param {string} html - Markup fragment
+ * @returns {string[]} Errors
+ */
+function checkHtml(html) {
+  const errors = [];
+  // Comments and raw text (script/style bodies) may contain anything
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|textarea|title)\b([^>]*)>[\s\S]*?<\/\1\s*>/gi, "<$1$2></$1>");
+
+  const tagPattern = /<(\/?)([a-zA-Z][\w:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  const stack = [];
+  const seen = new Set();
+  let startTags = 0;
+
+  for (const [, closing, rawName, rest] of source.matchAll(tagPattern)) {
+    const name = rawName.toLowerCase();
+    if (!closing) {
+      startTags++;
+      seen.add(name);
+      // Self-closing syntax is only meaningful in SVG/MathML, but accept it
+      if (!VOID_ELEMENTS.has(name) && !rest.trim().endsWith("/")) {
+        stack.push(name);
+      }
+      continue;
+    }
+
+    if (VOID_ELEMENTS.has(name)) continue;
+    const open = stack.lastIndexOf(name);
+    if (open < 0) {
+      errors.push(`Unexpected closing tag </${name}> with no matching <${name}>`);
+      continue;
+    }
+    stack
+      .splice(open)
+      .slice(1)
+      .filter((tag) => !OPTIONAL_END_TAGS.has(tag))
+      .forEach((tag) => errors.push(`Unclosed <${tag}> inside <${name}>`));
+  }
+  stack
+    .filter((tag) => !OPTIONAL_END_TAGS.has(tag))
+    .forEach((tag) => errors.push(`Unclosed <${tag}>`));
+
+  // e.g. <p><div></div></p>: balanced tags, but the parser splits the <p>
+  const parsedCount = parseElements(html).filter(
+    (el) => !IMPLIED_ELEMENTS.has(el.localName) || seen.has(el.localName)
+  ).length;
+  if (!errors.length && parsedCount !== startTags) {
+    errors.push(
+      `Invalid nesting: ${startTags} tags parse into ${parsedCount} elements (e.g. a block element inside <p>)`
+    );
+  }
+  return errors;
+}
+
+/**
+ * Check that nothing in the markup would be stripped by the sanitizer.
+ * Unknown elements that are only unwrapped are fine.
+ * @param {string} html - Markup fragment
+ * @returns {string[]} Errors
+ */
+function checkSafety(html) {
+  const { report } = sanitizeHtml(html);
+  const elements = report.elements
+    .filter((entry) => entry.action === "removed")
+    .map((entry) => `Remove the <${entry.tag}> element`);
+  const attributes = report.attributes
+    .filter(
+      (entry) =>
+        entry.name.startsWith("on") || /^\s*(javascript|vbscript):/i.test(entry.value)
+    )
+    .map((entry) => `Remove the ${entry.name} attribute from <${entry.tag}>`);
+  return [...new Set([...elements, ...attributes])];
+}
+
+/**
+ * Check CSS syntax: balanced braces, closed comments and strings, valid
+ * selectors, and declarations the browser understands.
+ * @param {string} css - Stylesheet text
+ * @returns {string[]} Errors
+ */
+function checkCss(css) {
+  const errors = [];
+  if (/\/\*(?![\s\S]*?\*\/)/.test(css)) {
+    errors.push("Unterminated /* comment");
+    return errors;
+  }
+  const text = css.replace(/\/\*[\s\S]*?\*\//g, "");
+
+  const { blocks, error } = parseCssBlocks(text);
+  if (error) {
+    errors.push(error);
+    return errors;
+  }
+
+  const visit = (list, atRule) => {
+    list.forEach((block) => {
+      if (block.children) {
+        visit(block.children, block.prelude.startsWith("@") ? block.prelude : atRule);
+        return;
+      }
+      if (DESCRIPTOR_AT_RULES.test(block.prelude)) return;
+
+      // Keyframe selectors (from, 50%) are not element selectors
+      if (!block.prelude.startsWith("@") && !/^@(-\w+-)?keyframes\b/i.test(atRule || "")) {
+        if (!isValidSelector(block.prelude)) {
+          errors.push(`Invalid selector "${block.prelude}"`);
+        }
+      }
+      splitDeclarations(block.body).forEach((declaration) => {
+        const problem = checkDeclaration(declaration);
+        if (problem) errors.push(`${problem} in "${block.prelude}"`);
+      });
+    });
+  };
+  visit(blocks, null);
+  return errors;
+}
+
+/**
+ * Split CSS into blocks. Blocks containing other blocks (@media, @keyframes)
+ * get children; the rest keep their declaration text.
+ * @param {string} text - CSS without comments
+ * @returns {{blocks: Array<{prelude: string, body?: string, children?: Array}>, error?: string}}
+ */
+function parseCssBlocks(text) {
+  const root = [];
+  const stack = [{ children: root, start: 0 }];
+  let quote = null;
+  let segmentStart = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === "\\") i++;
+      else if (ch === quote) quote = null;
+      else if (ch === "\n") return { blocks: root, error: "Unterminated string" };
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === "{") {
+      const block = { prelude: text.slice(segmentStart, i).split(";").pop().trim() };
+      stack[stack.length - 1].children.push(block);
+      stack.push({ block, children: [], start: i + 1 });
+      segmentStart = i + 1;
+    } else if (ch === "}") {
+      if (stack.length === 1) {
+        return { blocks: root, error: 'Unexpected "}" with no matching "{"' };
+      }
+      const frame = stack.pop();
+      if (frame.children.length) {
+        frame.block.children = frame.children;
+      } else {
+        frame.block.body = text.slice(frame.start, i);
+      }
+      segmentStart = i + 1;
+    }
+  }
+
+  if (quote) return { blocks: root, error: "Unterminated string" };
+  if (stack.length > 1) {
+    return {
+      blocks: root,
+      error: `Missing "}" to close "${stack[stack.length - 1].block.prelude}"`,
+    };
+  }
+  return { blocks: root };
+}
+
+// Split a declaration block on semicolons outside strings and parentheses (url(data:...;base64,...))
+function splitDeclarations(body) {
+  const declarations = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (quote) {
+      if (ch === "\\") i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === "(") depth++;
+    else if (ch === ")") depth--;
+    else if (ch === ";" && depth === 0) {
+      declarations.push(body.slice(start, i));
+      start = i + 1;
+    }
+  }
+  declarations.push(body.slice(start));
+  return declarations.map((declaration) => declaration.trim()).filter(Boolean);
+}
+
+/**
+ * @param {string} declaration - "property: value"
+ * @returns {string|null} Problem description, or null when valid
+ */
+function checkDeclaration(declaration) {
+  const colon = declaration.indexOf(":");
+  if (colon < 1) return `Malformed declaration "${declaration}"`;
+
+  const property = declaration.slice(0, colon).trim();
+  const value = declaration
+    .slice(colon + 1)
+    .replace(/!\s*important\s*$/i, "")
+    .trim();
+  if (property.startsWith("--")) return null;
+  if (!value) return `Empty value for "${property}"`;
+  if (VENDOR_PREFIX.test(property) || VENDOR_PREFIX.test(value)) return null;
+  if (typeof CSS === "undefined" || !CSS.supports) return null;
+  return CSS.supports(property, value)
+    ? null
+    : `Invalid declaration "${property}: ${value}"`;
+}
+
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * How similar two fragments' element structures are: the longest common
+ * subsequence of their tags in document order, relative to their sizes.
+ * @param {string} originalHtml - Component that was remixed
+ * @param {string} variantHtml - Variant markup
+ * @returns {number} 0 to 1
+ */
+function structureSimilarity(originalHtml, variantHtml) {
+  const tags = (html) =>
+    parseElements(html)
+      .slice(0, MAX_COMPARED_ELEMENTS)
+      .map((el) => el.localName);
+  const a = tags(originalHtml);
+  const b = tags(variantHtml);
+  if (!a.length && !b.length) return 1;
+
+  let previous = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [0];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] =
+        a[i - 1] === b[j - 1]
+          ? previous[j - 1] + 1
+          : Math.max(previous[j], row[j - 1]);
+    }
+    previous = row;
+  }
+  return (2 * previous[b.length]) / (a.length + b.length);
+}